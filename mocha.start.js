@@ -36,7 +36,7 @@ if (process.env.KEYFILE_PATH) {
 
 /**
  * Why a slow adapter? Datastore is eventually consistent, so this reduces the
- * flakiness of the tests.
+ * flakiness of the tests when they run against Datastore.
  */
 class SlowAdapter extends JSDataCloudDatastore.CloudDatastoreAdapter {
   create (...args) {
@@ -76,26 +76,20 @@ class SlowAdapter extends JSDataCloudDatastore.CloudDatastoreAdapter {
   }
 }
 
+// Run against an in-memory Datastore, unless a Google Cloud project is given
+const useDatastore = !!process.env.GCLOUD_PROJECT;
+
 JSDataAdapterTests.init({
   debug: false,
   JSData: JSData,
-  Adapter: SlowAdapter,
+  Adapter: useDatastore ? SlowAdapter : JSDataCloudDatastore.CloudDatastoreAdapter,
   adapterConfig: {
     debug: false,
-    datastoreOpts: datastoreOpts
+    datastore: useDatastore ? undefined : new JSDataCloudDatastore.MemoryDatastore(),
+    datastoreOpts: datastoreOpts,
+    likeScanLimit: 1000
   },
   xfeatures: [
-    'findBelongsToNested',
-    'findBelongsToHasManyNested',
-    'findHasManyLocalKeys',
-    'findHasManyForeignKeys',
-    'findAllInOp',
-    'findAllLikeOp',
-    'findAllBelongsTo',
-    'findAllBelongsToNested',
-    'findAllBelongsToHasMany',
-    'findAllBelongsToHasManyNested',
-    'findAllGroupedWhere',
     'filterOnRelations'
   ]
 });
@@ -105,6 +99,1147 @@ describe('exports', function () {
     assert(JSDataCloudDatastore.CloudDatastoreAdapter);
     assert(JSDataCloudDatastore.OPERATORS);
     assert(JSDataCloudDatastore.OPERATORS['==']);
+    assert(JSDataCloudDatastore.FAN_OUT_OPERATORS);
     assert(JSDataCloudDatastore.version);
+    assert(JSDataCloudDatastore.MemoryDatastore);
+    assert(JSDataCloudDatastore.CloudDatastoreError);
+    assert(JSDataCloudDatastore.NotFoundError);
+    assert(JSDataCloudDatastore.AlreadyExistsError);
+    assert(JSDataCloudDatastore.ContentionError);
+    assert(JSDataCloudDatastore.InvalidQueryError);
+    assert(JSDataCloudDatastore.MissingIndexError);
+    assert(JSDataCloudDatastore.QuotaError);
+    assert(JSDataCloudDatastore.ConflictError);
+    assert(JSDataCloudDatastore.PartialFailureError);
+    assert(JSDataCloudDatastore.InvalidRecordError);
+    assert(JSDataCloudDatastore.toIndexYaml);
+  });
+});
+
+/**
+ * Give each test of the enclosing describe block a fresh Container, in
+ * `this.store`, whose default adapter, `this.adapter`, runs against a new
+ * in-memory Datastore. `datastoreOpts` are passed to the MemoryDatastore and
+ * the other options to the adapter.
+ */
+const useMemoryDatastore = function (opts) {
+  opts = opts || {};
+  beforeEach(function () {
+    const adapterOpts = JSData.utils.omit(opts, ['datastoreOpts']);
+    adapterOpts.datastore = new JSDataCloudDatastore.MemoryDatastore(opts.datastoreOpts);
+    this.store = new JSData.Container();
+    this.adapter = new JSDataCloudDatastore.CloudDatastoreAdapter(adapterOpts);
+    this.store.registerAdapter('datastore', this.adapter, { default: true });
+  });
+};
+
+describe('errors', function () {
+  useMemoryDatastore();
+
+  it('should be instances of the exported error classes', function () {
+    const store = this.store;
+    const adapter = this.adapter;
+    const User = store.defineMapper('user');
+    return adapter.update(User, 1234, { name: 'John' }).then(() => {
+      throw new Error('update should have failed');
+    }, (err) => {
+      assert(err instanceof JSDataCloudDatastore.NotFoundError);
+      assert(err instanceof JSDataCloudDatastore.CloudDatastoreError);
+      assert(err instanceof Error);
+      assert.equal(err.message, 'Not Found');
+      assert.equal(err.mapperName, 'user');
+      assert.deepEqual(err.key.path, ['user', 1234]);
+    });
+  });
+
+  it('should hold the key of a destroyed record', function () {
+    const adapter = this.adapter;
+    const User = this.store.defineMapper('user');
+    adapter.datastore.delete = function (keys, callback) {
+      const err = new Error('Quota exceeded');
+      err.code = 8;
+      setTimeout(() => callback(err));
+    };
+    return adapter.destroy(User, 1, { retry: { maxAttempts: 1 } }).then(() => {
+      throw new Error('destroy should have failed');
+    }, (err) => {
+      assert(err instanceof JSDataCloudDatastore.QuotaError);
+      assert.deepEqual(err.key.path, ['user', 1]);
+    });
+  });
+
+  it('should reject invalid records with an InvalidRecordError', function () {
+    const adapter = this.adapter;
+    const User = this.store.defineMapper('user', { idType: 'integer' });
+    return adapter.find(User, 'john').then(() => {
+      throw new Error('find should have failed');
+    }, (err) => {
+      assert(err instanceof JSDataCloudDatastore.InvalidRecordError);
+      assert.equal(err.mapperName, 'user');
+      assert.equal(err.kind, 'user');
+    });
+  });
+});
+
+describe('retry', function () {
+  useMemoryDatastore();
+
+  beforeEach(function () {
+    this.User = this.store.defineMapper('user');
+    return this.adapter.create(this.User, { id: 1, name: 'John' });
+  });
+
+  // Make the next `times` calls of the given Datastore method fail
+  const fail = function (datastore, method, times, code) {
+    const original = datastore[method];
+    let calls = 0;
+    datastore[method] = function () {
+      const callback = arguments[arguments.length - 1];
+      if (calls++ < times) {
+        const err = new Error('Unavailable');
+        err.code = code;
+        return setTimeout(() => callback(err));
+      }
+      return original.apply(this, arguments);
+    };
+    return () => calls;
+  };
+
+  it('should retry transient errors and report the number of retries', function () {
+    const calls = fail(this.adapter.datastore, 'get', 2, 14);
+    return this.adapter.find(this.User, 1, { raw: true, retry: { initialDelay: 1 } }).then((response) => {
+      assert.equal(response.data.name, 'John');
+      assert.equal(response.retries, 2);
+      assert.equal(calls(), 3);
+    });
+  });
+
+  it('should give up after the maximum number of attempts', function () {
+    const calls = fail(this.adapter.datastore, 'runQuery', 5, 14);
+    return this.adapter.findAll(this.User, {}, { retry: { initialDelay: 1, maxAttempts: 3 } }).then(() => {
+      throw new Error('findAll should have failed');
+    }, (err) => {
+      assert(err instanceof JSDataCloudDatastore.CloudDatastoreError);
+      assert.equal(err.code, 14);
+      assert.equal(calls(), 3);
+    });
+  });
+
+  it('should not retry other errors', function () {
+    const calls = fail(this.adapter.datastore, 'get', 1, 3);
+    return this.adapter.find(this.User, 1, { retry: { initialDelay: 1 } }).then(() => {
+      throw new Error('find should have failed');
+    }, (err) => {
+      assert.equal(err.code, 3);
+      assert.equal(calls(), 1);
+    });
+  });
+});
+
+describe('like', function () {
+  useMemoryDatastore();
+
+  it('should translate prefix patterns into a range', function () {
+    const store = this.store;
+    const adapter = this.adapter;
+    const User = store.defineMapper('user');
+    return adapter.createMany(User, [{ name: 'John' }, { name: 'Joe' }, { name: 'Bob' }]).then(() => {
+      return adapter.findAll(User, { name: { 'like': 'Jo%' }, orderBy: 'name' });
+    }).then((users) => {
+      assert.deepEqual(users.map((user) => user.name), ['Joe', 'John']);
+      return adapter.findAll(User, { name: { 'like': '%o%' } });
+    }).then(() => {
+      throw new Error('findAll should have failed');
+    }, (err) => {
+      assert(err instanceof JSDataCloudDatastore.InvalidQueryError);
+      assert.equal(err.mapperName, 'user');
+    });
+  });
+});
+
+describe('nested properties', function () {
+  useMemoryDatastore();
+
+  it('should filter and sort by dot paths and array values', function () {
+    const store = this.store;
+    const adapter = this.adapter;
+    const User = store.defineMapper('user');
+    return adapter.createMany(User, [
+      { id: 1, tags: ['admin'], scores: [1, 9], address: { city: 'Paris', zipCode: '75002' } },
+      { id: 2, tags: ['editor'], scores: [4, 5, 6], address: { city: 'Paris', zipCode: '75001' } },
+      { id: 3, tags: ['guest'], scores: [3], address: { city: 'Lyon', zipCode: '69001' } }
+    ]).then(() => {
+      return adapter.findAll(User, { 'address.city': 'Paris', orderBy: 'address.zipCode' });
+    }).then((users) => {
+      assert.deepEqual(users.map((user) => user.id), [2, 1]);
+      return adapter.findAll(User, { tags: { containsAny: ['admin', 'editor', 'guest'] }, orderBy: 'scores' });
+    }).then((users) => {
+      assert.deepEqual(users.map((user) => user.id), [1, 3, 2]);
+      return adapter.findAll(User, { tags: { containsAny: ['admin', 'editor', 'guest'] }, orderBy: [['scores', 'desc']] });
+    }).then((users) => {
+      assert.deepEqual(users.map((user) => user.id), [1, 2, 3]);
+    });
+  });
+});
+
+describe('parent', function () {
+  useMemoryDatastore();
+
+  it('should reject updates that move a record to another parent', function () {
+    const adapter = this.adapter;
+    const Post = this.store.defineMapper('post');
+    const Comment = this.store.defineMapper('comment', {
+      parent: 'post',
+      relations: {
+        belongsTo: {
+          post: { foreignKey: 'postId', localField: 'post' }
+        }
+      }
+    });
+    let comment;
+    return adapter.create(Comment, { postId: 1, text: 'Hi' }).then((_comment) => {
+      comment = _comment;
+      assert.deepEqual(adapter.getKey(Comment, comment.id, {}, comment).path, ['post', 1, 'comment', comment.id]);
+      return adapter.update(Comment, comment.id, { postId: 1, text: 'Hello' }, { parentKey: adapter.getKey(Post, 1) });
+    }).then((_comment) => {
+      assert.equal(_comment.text, 'Hello');
+      return adapter.update(Comment, comment.id, { postId: 2 }, { parentKey: adapter.getKey(Post, 1) });
+    }).then(() => {
+      throw new Error('update should have failed');
+    }, (err) => {
+      assert(err instanceof JSDataCloudDatastore.InvalidRecordError);
+      assert.equal(err.message, `Cannot change postId of comment ${comment.id}, the key of the record depends on its ancestors!`);
+      assert.deepEqual(err.key.path, ['post', 1, 'comment', comment.id]);
+      return adapter.findAll(Comment, { postId: 1 });
+    }).then((comments) => {
+      assert.deepEqual(comments.map((comment) => comment.text), ['Hello']);
+    });
+  });
+});
+
+describe('hasMany relations', function () {
+  useMemoryDatastore();
+
+  it('should resolve with the related records of many records', function () {
+    const adapter = this.adapter;
+    const User = this.store.defineMapper('user', {
+      relations: {
+        hasMany: {
+          group: { localKeys: 'groupIds', localField: 'groups' },
+          tag: { foreignKeys: 'userIds', localField: 'tags' }
+        }
+      }
+    });
+    const Group = this.store.defineMapper('group');
+    const Tag = this.store.defineMapper('tag');
+    return Promise.all([
+      adapter.createMany(User, [{ id: 1, groupIds: [10] }, { id: 2, groupIds: [10, 11] }]),
+      adapter.createMany(Group, [{ id: 10 }, { id: 11 }]),
+      adapter.createMany(Tag, [{ id: 20, userIds: [1, 2] }, { id: 21, userIds: [2] }])
+    ]).then(([users]) => {
+      return Promise.all([
+        adapter.loadHasManyLocalKeys(User, User.relationList[0], users, {}),
+        adapter.loadHasManyForeignKeys(User, User.relationList[1], users, {})
+      ]).then(([groups, tags]) => {
+        assert.deepEqual(groups.map((group) => group.id).sort(), [10, 11]);
+        assert.deepEqual(tags.map((tag) => tag.id).sort(), [20, 21]);
+        assert.deepEqual(users[1].tags.map((tag) => tag.id).sort(), [20, 21]);
+      });
+    });
+  });
+});
+
+describe('eachPage', function () {
+  useMemoryDatastore();
+
+  beforeEach(function () {
+    this.User = this.store.defineMapper('user');
+    return this.adapter.createMany(this.User, [1, 2, 3, 4, 5, 6, 7].map((age) => {
+      return { age, role: age % 2 ? 'admin' : 'guest' };
+    }));
+  });
+
+  it('should page with query cursors', function () {
+    const adapter = this.adapter;
+    const pages = [];
+    return adapter.eachPage(this.User, { orderBy: 'age', limit: 3 }, (users, response) => {
+      pages.push(users.map((user) => user.age));
+      assert(response.endCursor);
+    }).then(() => {
+      assert.deepEqual(pages, [[1, 2, 3], [4, 5, 6], [7]]);
+      return adapter.findAll(this.User, { orderBy: 'age', limit: 2 }, { raw: true });
+    }).then((response) => {
+      return adapter.findAll(this.User, { orderBy: 'age', limit: 2 }, { startCursor: response.endCursor });
+    }).then((users) => {
+      assert.deepEqual(users.map((user) => user.age), [3, 4]);
+    });
+  });
+
+  it('should page queries that fan out by skipping the previous pages', function () {
+    const pages = [];
+    const query = { role: { 'in': ['admin', 'guest'] }, orderBy: 'age', limit: 3, skip: 1 };
+    return this.adapter.eachPage(this.User, query, (users) => {
+      pages.push(users.map((user) => user.age));
+    }).then(() => {
+      assert.deepEqual(pages, [[2, 3, 4], [5, 6, 7]]);
+    });
+  });
+
+  it('should stop when the callback returns false', function () {
+    const pages = [];
+    return this.adapter.eachPage(this.User, { orderBy: 'age', limit: 2 }, (users) => {
+      pages.push(users.map((user) => user.age));
+      return pages.length < 2;
+    }).then(() => {
+      assert.deepEqual(pages, [[1, 2], [3, 4]]);
+    });
+  });
+});
+
+describe('client-supplied ids', function () {
+  useMemoryDatastore();
+
+  it('should create records under string keys', function () {
+    const adapter = this.adapter;
+    const User = this.store.defineMapper('user', { idAttribute: 'email', idType: 'string' });
+    return adapter.create(User, { email: 'john@example.com', name: 'John' }).then((user) => {
+      assert.equal(user.email, 'john@example.com');
+      assert.deepEqual(adapter.getKey(User, user.email).path, ['user', 'john@example.com']);
+      return adapter.find(User, 'john@example.com');
+    }).then((user) => {
+      assert.equal(user.name, 'John');
+      return adapter.create(User, { name: 'Nobody' });
+    }).then(() => {
+      throw new Error('create should have failed');
+    }, (err) => {
+      assert.equal(err.message, 'user records must have a email!');
+    });
+  });
+
+  it('should allocate numeric ids', function () {
+    const adapter = this.adapter;
+    const Post = this.store.defineMapper('post');
+    return adapter.create(Post, { title: 'New' }).then((post) => {
+      assert(JSData.utils.isNumber(post.id));
+      return adapter.find(Post, post.id);
+    }).then((post) => {
+      assert.equal(post.title, 'New');
+    });
+  });
+
+  it('should keep given ids and allocate the others', function () {
+    const adapter = this.adapter;
+    const Post = this.store.defineMapper('post', { idType: 'integer' });
+    return adapter.createMany(Post, [{ id: '42', title: 'Imported' }, { title: 'New' }]).then((posts) => {
+      assert.strictEqual(posts[0].id, 42);
+      assert(JSData.utils.isNumber(posts[1].id));
+      assert.notEqual(posts[1].id, 42);
+      return adapter.findAll(Post, { orderBy: 'title' });
+    }).then((posts) => {
+      assert.deepEqual(posts.map((post) => post.title), ['Imported', 'New']);
+    });
+  });
+
+  it('should fail with an AlreadyExistsError if a record exists', function () {
+    const adapter = this.adapter;
+    const Post = this.store.defineMapper('post');
+    return adapter.create(Post, { id: 1, title: 'First' }).then(() => {
+      return adapter.createMany(Post, [{ id: 2, title: 'Second' }, { id: 1, title: 'Duplicate' }]);
+    }).then(() => {
+      throw new Error('createMany should have failed');
+    }, (err) => {
+      assert(err instanceof JSDataCloudDatastore.AlreadyExistsError);
+      assert.equal(err.message, 'post 1 already exists!');
+      assert.deepEqual(err.key.path, ['post', '1']);
+      return adapter.createMany(Post, [{ id: 3 }, { id: 3 }]);
+    }).then(() => {
+      throw new Error('createMany should have failed');
+    }, (err) => {
+      assert(err instanceof JSDataCloudDatastore.AlreadyExistsError);
+      return adapter.findAll(Post, { orderBy: 'id' });
+    }).then((posts) => {
+      assert.deepEqual(posts, [{ id: 1, title: 'First' }]);
+    });
+  });
+});
+
+describe('createMany', function () {
+  useMemoryDatastore();
+
+  it('should create at most 25 records per transaction', function () {
+    const adapter = this.adapter;
+    const User = this.store.defineMapper('user');
+    const transaction = adapter.datastore.transaction;
+    const sizes = [];
+    adapter.datastore.transaction = function () {
+      const _transaction = transaction.apply(this, arguments);
+      const commit = _transaction.commit;
+      _transaction.commit = function (callback) {
+        sizes.push(this.modifiedEntities.length);
+        return commit.call(this, callback);
+      };
+      return _transaction;
+    };
+    const users = [];
+    for (var i = 0; i < 60; i++) {
+      users.push({ name: `user${i}` });
+    }
+    return adapter.createMany(User, users, { batchConcurrency: 1 }).then((users) => {
+      assert.equal(users.length, 60);
+      assert.deepEqual(sizes, [25, 25, 10]);
+    });
+  });
+
+  it('should report the records of failed chunks', function () {
+    const adapter = this.adapter;
+    const User = this.store.defineMapper('user');
+    const transaction = adapter.datastore.transaction;
+    let count = 0;
+    adapter.datastore.transaction = function () {
+      const _transaction = transaction.apply(this, arguments);
+      if (++count === 2 || count === 5) {
+        _transaction.commit = (callback) => {
+          const err = new Error('Invalid argument');
+          err.code = 3;
+          setTimeout(() => callback(err));
+        };
+      }
+      return _transaction;
+    };
+    const users = [];
+    for (var i = 1; i <= 60; i++) {
+      users.push({ id: i });
+    }
+    return adapter.createMany(User, users.slice(30), { batchSize: 10, batchConcurrency: 1 }).then(() => {
+      throw new Error('createMany should have failed');
+    }, (err) => {
+      assert(err instanceof JSDataCloudDatastore.PartialFailureError);
+      assert.equal(err.message, '10 user records failed!');
+      assert.equal(err.records.length, 20);
+      assert.deepEqual(err.failed.map((failure) => failure.id), [41, 42, 43, 44, 45, 46, 47, 48, 49, 50]);
+      return adapter.createMany(User, users.slice(0, 30), { raw: true, batchSize: 10, batchConcurrency: 1 });
+    }).then((result) => {
+      assert.deepEqual(result.data.map((user) => user.id), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30]);
+      assert.equal(result.succeededChunks, 2);
+      assert.equal(result.failedChunks, 1);
+      assert.deepEqual(result.failed.map((failure) => failure.id), [11, 12, 13, 14, 15, 16, 17, 18, 19, 20]);
+      assert(result.failed[0].error instanceof JSDataCloudDatastore.CloudDatastoreError);
+      assert.equal(result.failed[0].error.code, 3);
+      return adapter.count(User);
+    }).then((count) => {
+      assert.equal(count, 40);
+    });
+  });
+});
+
+describe('projections', function () {
+  useMemoryDatastore();
+
+  beforeEach(function () {
+    this.Post = this.store.defineMapper('post', {
+      schema: {
+        properties: {
+          title: { type: 'string' },
+          votes: { type: 'number' },
+          tags: { type: 'array', items: { type: 'string' } },
+          body: { type: 'string', excludeFromIndexes: true }
+        }
+      }
+    });
+    return this.adapter.createMany(this.Post, [
+      { id: 1, title: 'First', votes: 3, tags: ['a', 'b'], body: 'Hello' },
+      { id: 2, title: 'Second', votes: 5, tags: ['c'], body: 'World' }
+    ]);
+  });
+
+  it('should retrieve only the selected fields', function () {
+    const adapter = this.adapter;
+    return adapter.findAll(this.Post, { select: ['title'], orderBy: [['votes', 'desc']] }).then((posts) => {
+      assert.deepEqual(posts, [{ id: 2, title: 'Second' }, { id: 1, title: 'First' }]);
+      return adapter.findAll(this.Post, { votes: { '>': 1 } }, { fields: ['votes', 'tags'] });
+    }).then((posts) => {
+      assert.deepEqual(posts, [{ id: 1, votes: 3, tags: ['a', 'b'] }, { id: 2, votes: 5, tags: ['c'] }]);
+    });
+  });
+
+  it('should reject projections Datastore cannot run', function () {
+    const adapter = this.adapter;
+    return adapter.findAll(this.Post, { select: ['body'] }).then(() => {
+      throw new Error('findAll should have failed');
+    }, (err) => {
+      assert(err instanceof JSDataCloudDatastore.InvalidQueryError);
+      assert.equal(err.message, 'Cannot project body of post, it is excluded from indexes!');
+      return adapter.findAll(this.Post, { select: ['title'], title: 'First' });
+    }).then(() => {
+      throw new Error('findAll should have failed');
+    }, (err) => {
+      assert(err instanceof JSDataCloudDatastore.InvalidQueryError);
+      assert.equal(err.message, 'Cannot project title of post, it has an equality filter!');
+    });
+  });
+});
+
+describe('findAllStream', function () {
+  useMemoryDatastore();
+
+  beforeEach(function () {
+    this.User = this.store.defineMapper('user');
+    return this.adapter.createMany(this.User, [{ id: 1, age: 30 }, { id: 2, age: 20 }, { id: 3, age: 40 }]);
+  });
+
+  const readAll = function (stream) {
+    return new Promise((resolve, reject) => {
+      const records = [];
+      stream.on('data', (record) => records.push(record));
+      stream.on('error', reject);
+      stream.on('end', () => resolve(records));
+    });
+  };
+
+  it('should stream the matching records', function () {
+    return readAll(this.adapter.findAllStream(this.User, { age: { '>': 25 }, orderBy: 'age' })).then((users) => {
+      assert.deepEqual(users, [{ id: 1, age: 30 }, { id: 3, age: 40 }]);
+    });
+  });
+
+  it('should emit the errors of the query', function () {
+    return readAll(this.adapter.findAllStream(this.User, { name: { 'like': '%o%' } })).then(() => {
+      throw new Error('findAllStream should have failed');
+    }, (err) => {
+      assert(err instanceof JSDataCloudDatastore.InvalidQueryError);
+    });
+  });
+
+  it('should iterate over the matching records', function () {
+    const iterator = this.adapter.findAllIterator(this.User, { orderBy: 'age' });
+    const ages = [];
+    const next = () => {
+      return iterator.next().then((result) => {
+        if (!result.done) {
+          ages.push(result.value.age);
+          return next();
+        }
+      });
+    };
+    return next().then(() => {
+      assert.deepEqual(ages, [20, 30, 40]);
+    });
+  });
+
+  it('should update and destroy the selected records as a stream', function () {
+    const adapter = this.adapter;
+    sinon.spy(adapter, '_runQueryStream');
+    return adapter.updateAll(this.User, { active: true }, { age: { '<': 35 } }).then((users) => {
+      assert.deepEqual(users.map((user) => user.id).sort(), [1, 2]);
+      return adapter.destroyAll(this.User, { active: true });
+    }).then(() => {
+      assert.equal(adapter._runQueryStream.callCount, 2);
+      return adapter.findAll(this.User);
+    }).then((users) => {
+      assert.deepEqual(users, [{ id: 3, age: 40 }]);
+    });
+  });
+});
+
+describe('lookups', function () {
+  useMemoryDatastore();
+
+  it('should look up at most 1000 keys per request', function () {
+    const adapter = this.adapter;
+    const User = this.store.defineMapper('user');
+    const ids = [];
+    for (var i = 1; i <= 2500; i++) {
+      ids.push(i);
+    }
+    sinon.spy(adapter.datastore, 'get');
+    return adapter.createMany(User, [{ id: 1 }, { id: 2500 }]).then(() => {
+      adapter.datastore.get.reset();
+      return adapter.findAll(User, { id: { 'in': ids } });
+    }).then((users) => {
+      assert.deepEqual(users.map((user) => user.id), [1, 2500]);
+      assert.deepEqual(adapter.datastore.get.args.map((args) => args[0].length), [1000, 1000, 500]);
+    });
+  });
+});
+
+describe('fan-out queries', function () {
+  useMemoryDatastore({ batchConcurrency: 2 });
+
+  it('should run at most batchConcurrency Datastore queries at a time', function () {
+    const adapter = this.adapter;
+    const datastore = adapter.datastore;
+    const User = this.store.defineMapper('user');
+    const runQuery = datastore.runQuery;
+    let pending = 0;
+    let maxPending = 0;
+    datastore.runQuery = function (query, callback) {
+      pending++;
+      maxPending = Math.max(maxPending, pending);
+      return runQuery.call(this, query, (...args) => {
+        pending--;
+        callback(...args);
+      });
+    };
+    const names = ['a', 'b', 'c', 'd', 'e', 'f'];
+    return adapter.createMany(User, names.map((name) => ({ name }))).then(() => {
+      return adapter.findAll(User, { name: { 'in': names }, orderBy: 'name' });
+    }).then((users) => {
+      assert.deepEqual(users.map((user) => user.name), names);
+      assert.equal(maxPending, 2);
+    });
+  });
+
+  it('should not select records that lack the field of notIn and !=', function () {
+    const adapter = this.adapter;
+    const User = this.store.defineMapper('user');
+    return adapter.createMany(User, [{ name: 'John', age: 30 }, { name: 'Sally' }]).then(() => {
+      return Promise.all([
+        adapter.findAll(User, { age: { 'notIn': [20] } }),
+        adapter.findAll(User, { age: { '!=': 20 } })
+      ]);
+    }).then(([notIn, notEqual]) => {
+      assert.deepEqual(notIn.map((user) => user.name), ['John']);
+      assert.deepEqual(notEqual.map((user) => user.name), ['John']);
+    });
+  });
+
+  it('should reject queries that fan out into more than fanOutLimit queries', function () {
+    const adapter = this.adapter;
+    const User = this.store.defineMapper('user');
+    const query = { name: { 'in': ['a', 'b', 'c'] }, role: { 'in': ['admin', 'guest'] } };
+    return adapter.findAll(User, query, { fanOutLimit: 5 }).then(() => {
+      throw new Error('findAll should have failed');
+    }, (err) => {
+      assert(err instanceof JSDataCloudDatastore.InvalidQueryError);
+      assert.equal(err.message, 'Query of user fans out into 6 Datastore queries, more than the 5 allowed by fanOutLimit!');
+      assert.equal(err.mapperName, 'user');
+      return adapter.findAll(User, query, { fanOutLimit: 6 });
+    }).then((users) => {
+      assert.deepEqual(users, []);
+      return adapter.findAll(User, { id: { 'in': [1, 2, 3, 4, 5, 6] } }, { fanOutLimit: 5 });
+    }).then((users) => {
+      assert.deepEqual(users, []);
+    });
+  });
+});
+
+describe('updateMany', function () {
+  useMemoryDatastore();
+
+  it('should report the records that do not exist as failed', function () {
+    const adapter = this.adapter;
+    const User = this.store.defineMapper('user');
+    return adapter.create(User, { name: 'John' }).then((user) => {
+      return adapter.updateMany(User, [{ id: user.id, name: 'Johnny' }, { id: 1234, name: 'Bob' }], { raw: true });
+    }).then((result) => {
+      assert.deepEqual(result.data.map((user) => user.name), ['Johnny']);
+      assert.equal(result.failed.length, 1);
+      assert.equal(result.failed[0].id, 1234);
+      assert(result.failed[0].error instanceof JSDataCloudDatastore.NotFoundError);
+      assert.deepEqual(result.failed[0].error.key.path, ['user', 1234]);
+      return adapter.updateMany(User, [{ id: 1234, name: 'Bob' }]);
+    }).then(() => {
+      throw new Error('updateMany should have failed');
+    }, (err) => {
+      assert(err instanceof JSDataCloudDatastore.PartialFailureError);
+      assert.equal(err.failed[0].id, 1234);
+    });
+  });
+});
+
+describe('aggregation', function () {
+  useMemoryDatastore();
+
+  it('should count with an aggregation query if the client supports them', function () {
+    const adapter = this.adapter;
+    const datastore = adapter.datastore;
+    const User = this.store.defineMapper('user');
+    const aggregations = [];
+    datastore.createAggregationQuery = function (query) {
+      return {
+        count (alias) {
+          aggregations.push({ kinds: query.kinds, method: 'count', alias });
+          return this;
+        }
+      };
+    };
+    datastore.runAggregationQuery = function (aggregationQuery, callback) {
+      setTimeout(() => callback(null, [{ value: 42 }]));
+    };
+    sinon.spy(datastore, 'runQuery');
+    return adapter.count(User, { name: 'John' }).then((count) => {
+      assert.equal(count, 42);
+      assert.deepEqual(aggregations, [{ kinds: ['user'], method: 'count', alias: 'value' }]);
+      assert.equal(datastore.runQuery.callCount, 0);
+    });
+  });
+
+  it('should scan rather than aggregate when matching like patterns client-side', function () {
+    const adapter = this.adapter;
+    const datastore = adapter.datastore;
+    const User = this.store.defineMapper('user');
+    datastore.createAggregationQuery = sinon.spy();
+    datastore.runAggregationQuery = sinon.spy();
+    const opts = { likeScanLimit: 100 };
+    return adapter.createMany(User, [{ name: 'Tim', age: 30 }, { name: 'Jim', age: 40 }, { name: 'Bob', age: 50 }]).then(() => {
+      return Promise.all([
+        adapter.count(User, { name: { 'like': '%m' } }, opts),
+        adapter.sum(User, 'age', { name: { 'like': '%m' } }, opts),
+        adapter.avg(User, 'age', { name: { 'like': '%m' } }, opts)
+      ]);
+    }).then(([count, sum, avg]) => {
+      assert.equal(count, 2);
+      assert.equal(sum, 70);
+      assert.equal(avg, 35);
+      assert.equal(datastore.createAggregationQuery.callCount, 0);
+      assert.equal(datastore.runAggregationQuery.callCount, 0);
+    });
+  });
+
+  it('should count the matching records if the client does not support aggregation queries', function () {
+    const adapter = this.adapter;
+    const User = this.store.defineMapper('user');
+    sinon.spy(adapter.datastore, 'runQuery');
+    return adapter.createMany(User, [{ name: 'John' }, { name: 'John' }, { name: 'Bob' }]).then(() => {
+      return adapter.count(User, { name: 'John' });
+    }).then((count) => {
+      assert.equal(count, 2);
+      assert.equal(adapter.datastore.runQuery.callCount, 1);
+    });
+  });
+});
+
+describe('value types', function () {
+  useMemoryDatastore();
+
+  it('should round-trip the values of every encoded type', function () {
+    const adapter = this.adapter;
+    this.store.defineMapper('user');
+    const Shop = this.store.defineMapper('shop', {
+      schema: {
+        properties: {
+          visits: { type: 'integer' },
+          rating: { type: 'number' },
+          openedAt: { type: 'string', format: 'date-time' },
+          location: { type: 'object', format: 'geoPoint' },
+          logo: { type: 'string', contentEncoding: 'base64' },
+          ownerId: { type: 'number', format: 'key' }
+        }
+      },
+      relations: {
+        belongsTo: {
+          user: { foreignKey: 'ownerId', localField: 'owner' }
+        }
+      }
+    });
+    const props = {
+      visits: Number.MAX_SAFE_INTEGER,
+      rating: 5,
+      openedAt: '2017-01-02T03:04:05.000Z',
+      location: { latitude: 48.85, longitude: 2.35 },
+      logo: Buffer.from('logo').toString('base64'),
+      ownerId: 7
+    };
+    return adapter.create(Shop, props).then((shop) => {
+      return adapter._lookup([adapter.getKey(Shop, shop.id)]).then((entities) => {
+        const data = entities[0].data;
+        assert.strictEqual(data.visits, Number.MAX_SAFE_INTEGER);
+        assert.strictEqual(data.rating, 5);
+        assert(data.openedAt instanceof Date);
+        assert.deepEqual(data.location, props.location);
+        assert(Buffer.isBuffer(data.logo));
+        assert.deepEqual(data.ownerId.path, ['user', '7']);
+        return adapter.find(Shop, shop.id);
+      });
+    }).then((shop) => {
+      assert.deepEqual(JSData.utils.omit(shop, ['id']), props);
+      return adapter.findAll(Shop, { ownerId: 7, rating: 5 });
+    }).then((shops) => {
+      assert.equal(shops.length, 1);
+    });
+  });
+
+  it('should decode keys as the type of the related primary key', function () {
+    const adapter = this.adapter;
+    this.store.defineMapper('user', { idType: 'string' });
+    this.store.defineMapper('team');
+    const Shop = this.store.defineMapper('shop', {
+      schema: {
+        properties: {
+          ownerId: { format: 'key' },
+          teamId: { type: 'string', format: 'key' }
+        }
+      },
+      relations: {
+        belongsTo: {
+          user: { foreignKey: 'ownerId', localField: 'owner' },
+          team: { foreignKey: 'teamId', localField: 'team' }
+        }
+      }
+    });
+    return adapter.create(Shop, { ownerId: '7', teamId: 3 }).then((shop) => {
+      return Promise.all([
+        adapter.find(Shop, shop.id),
+        adapter.findAll(Shop, {}, { select: ['ownerId', 'teamId'] })
+      ]);
+    }).then(([shop, shops]) => {
+      assert.strictEqual(shop.ownerId, '7');
+      assert.strictEqual(shop.teamId, '3');
+      assert.strictEqual(shops[0].ownerId, '7');
+      assert.strictEqual(shops[0].teamId, '3');
+    });
+  });
+});
+
+describe('excludeFromIndexes', function () {
+  useMemoryDatastore();
+
+  it('should flag unindexed top-level properties in the saved entity', function () {
+    const Post = this.store.defineMapper('post', {
+      schema: {
+        properties: {
+          title: { type: 'string' },
+          body: { type: 'string', excludeFromIndexes: true },
+          comments: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                text: { type: 'string', excludeFromIndexes: true }
+              }
+            }
+          }
+        }
+      }
+    });
+    const key = this.adapter.getKey(Post, 1);
+    const entity = this.adapter.toEntity(Post, key, {
+      id: 1,
+      title: 'Hi',
+      body: 'Long text',
+      comments: [{ author: 'John', text: 'Nice' }]
+    }, 'insert');
+    assert.strictEqual(entity.key, key);
+    assert.equal(entity.method, 'insert');
+    assert.deepEqual(entity.data, [
+      { name: 'id', value: 1, excludeFromIndexes: false },
+      { name: 'title', value: 'Hi', excludeFromIndexes: false },
+      { name: 'body', value: 'Long text', excludeFromIndexes: true },
+      { name: 'comments', value: [{ author: 'John', text: 'Nice' }], excludeFromIndexes: true }
+    ]);
+    assert.deepEqual(this.adapter.explain(Post, { title: 'Hi' }).indexes, []);
+    assert.throws(() => this.adapter.explain(Post, { 'comments.author': 'John' }), JSDataCloudDatastore.InvalidQueryError);
+  });
+});
+
+describe('namespaces', function () {
+  useMemoryDatastore({ namespace: 'shared' });
+
+  it('should isolate the records of each namespace', function () {
+    const adapter = this.adapter;
+    const User = this.store.defineMapper('user');
+    const acme = { namespace: 'acme' };
+    const globex = { namespace: 'globex' };
+    return Promise.all([
+      adapter.create(User, { id: 1, name: 'John', age: 30 }, acme),
+      adapter.create(User, { id: 1, name: 'Jane', age: 40 }, globex),
+      adapter.create(User, { id: 2, name: 'Bob', age: 50 })
+    ]).then(() => {
+      return Promise.all([
+        adapter.find(User, 1, acme),
+        adapter.findAll(User, {}, globex),
+        adapter.count(User, {}, acme),
+        adapter.sum(User, 'age', {}, globex),
+        adapter.findAll(User)
+      ]);
+    }).then(([user, users, count, sum, sharedUsers]) => {
+      assert.equal(user.name, 'John');
+      assert.deepEqual(users.map((user) => user.name), ['Jane']);
+      assert.equal(count, 1);
+      assert.equal(sum, 40);
+      assert.deepEqual(sharedUsers.map((user) => user.name), ['Bob']);
+      return adapter.update(User, 1, { name: 'Johnny' }, acme);
+    }).then(() => {
+      return adapter.destroyAll(User, {}, globex);
+    }).then(() => {
+      return Promise.all([
+        adapter.find(User, 1, acme),
+        adapter.count(User, {}, globex),
+        adapter._lookup([adapter.getKey(User, 1, acme)])
+      ]);
+    }).then(([user, count, entities]) => {
+      assert.equal(user.name, 'Johnny');
+      assert.equal(count, 0);
+      assert.equal(entities[0].key.namespace, 'acme');
+    });
+  });
+
+  it('should use the namespace of the Mapper', function () {
+    const adapter = this.adapter;
+    const Tenant = this.store.defineMapper('tenant', { namespace: 'admin' });
+    return adapter.create(Tenant, { id: 1, name: 'Acme' }).then(() => {
+      return Promise.all([
+        adapter.findAll(Tenant),
+        adapter.findAll(Tenant, {}, { namespace: 'shared' })
+      ]);
+    }).then(([tenants, sharedTenants]) => {
+      assert.equal(tenants.length, 1);
+      assert.equal(sharedTenants.length, 0);
+      assert.equal(adapter.getKey(Tenant, 1).namespace, 'admin');
+    });
+  });
+});
+
+describe('transaction', function () {
+  useMemoryDatastore();
+
+  beforeEach(function () {
+    this.Account = this.store.defineMapper('account');
+    return this.adapter.createMany(this.Account, [{ id: 1, balance: 100 }, { id: 2, balance: 0 }]);
+  });
+
+  const transfer = function (adapter, Account, amount, transaction) {
+    const opts = { transaction };
+    return Promise.all([
+      adapter.find(Account, 1, opts),
+      adapter.find(Account, 2, opts)
+    ]).then(([from, to]) => {
+      return Promise.all([
+        adapter.update(Account, 1, { balance: from.balance - amount }, opts),
+        adapter.update(Account, 2, { balance: to.balance + amount }, opts)
+      ]);
+    });
+  };
+
+  const balances = function (adapter, Account) {
+    return adapter.findAll(Account, { orderBy: 'id' }).then((accounts) => accounts.map((account) => account.balance));
+  };
+
+  it('should commit the writes once the function resolves', function () {
+    const adapter = this.adapter;
+    return adapter.transaction((transaction) => {
+      return transfer(adapter, this.Account, 30, transaction).then(() => {
+        // Writes are only applied on commit
+        return adapter.find(this.Account, 1);
+      });
+    }).then((account) => {
+      assert.equal(account.balance, 100);
+      return balances(adapter, this.Account);
+    }).then((balances) => {
+      assert.deepEqual(balances, [70, 30]);
+    });
+  });
+
+  it('should roll back if the function throws', function () {
+    const adapter = this.adapter;
+    return adapter.transaction((transaction) => {
+      return transfer(adapter, this.Account, 30, transaction).then(() => {
+        throw new Error('Insufficient funds');
+      });
+    }).then(() => {
+      throw new Error('transaction should have failed');
+    }, (err) => {
+      assert.equal(err.message, 'Insufficient funds');
+      return balances(adapter, this.Account);
+    }).then((balances) => {
+      assert.deepEqual(balances, [100, 0]);
+    });
+  });
+
+  it('should run the function again if the commit is aborted', function () {
+    const adapter = this.adapter;
+    let attempts = 0;
+    return adapter.transaction((transaction) => {
+      attempts++;
+      return transfer(adapter, this.Account, 30, transaction).then(() => {
+        if (attempts === 1) {
+          // A concurrent write to an account read by the transaction
+          return adapter.update(this.Account, 1, { balance: 50 });
+        }
+      });
+    }, { retry: { initialDelay: 1 } }).then(() => {
+      assert.equal(attempts, 2);
+      return balances(adapter, this.Account);
+    }).then((balances) => {
+      assert.deepEqual(balances, [20, 30]);
+    });
+  });
+
+  it('should fail with a ContentionError once the attempts are exhausted', function () {
+    const adapter = this.adapter;
+    let attempts = 0;
+    return adapter.transaction((transaction) => {
+      attempts++;
+      return transfer(adapter, this.Account, 30, transaction).then(() => {
+        return adapter.update(this.Account, 1, { balance: 50 });
+      });
+    }, { retry: { initialDelay: 1, maxAttempts: 2 } }).then(() => {
+      throw new Error('transaction should have failed');
+    }, (err) => {
+      assert(err instanceof JSDataCloudDatastore.ContentionError);
+      assert.equal(err.code, 10);
+      assert.equal(attempts, 2);
+      return balances(adapter, this.Account);
+    }).then((balances) => {
+      assert.deepEqual(balances, [50, 0]);
+    });
+  });
+});
+
+describe('versionAttribute', function () {
+  useMemoryDatastore();
+
+  it('should reject updates of outdated versions', function () {
+    const store = this.store;
+    const adapter = this.adapter;
+    const Post = store.defineMapper('post', { versionAttribute: 'version' });
+    let post;
+    return adapter.create(Post, { title: 'Draft' }).then((_post) => {
+      post = _post;
+      assert.equal(post.version, 1);
+      return adapter.update(Post, post.id, { title: 'Published', version: 1 });
+    }).then((_post) => {
+      assert.equal(_post.version, 2);
+      return adapter.update(Post, post.id, { title: 'Stale', version: 1 });
+    }).then(() => {
+      throw new Error('update should have failed');
+    }, (err) => {
+      assert(err instanceof JSDataCloudDatastore.ConflictError);
+      assert.equal(err.currentVersion, 2);
+      assert.equal(err.expectedVersion, 1);
+      return adapter.find(Post, post.id);
+    }).then((_post) => {
+      assert.equal(_post.title, 'Published');
+    });
+  });
+
+  it('should check and increment versions on upsert', function () {
+    const adapter = this.adapter;
+    const Post = this.store.defineMapper('post', { versionAttribute: 'version' });
+    return adapter.upsertMany(Post, [{ id: 1, title: 'Draft' }, { title: 'Other' }]).then((posts) => {
+      assert.deepEqual(posts.map((post) => post.version), [1, 1]);
+      return adapter.upsert(Post, { id: 1, title: 'Published', version: 1 });
+    }).then((post) => {
+      assert.equal(post.version, 2);
+      return adapter.upsert(Post, { id: 1, title: 'Stale', version: 1 });
+    }).then(() => {
+      throw new Error('upsert should have failed');
+    }, (err) => {
+      assert(err instanceof JSDataCloudDatastore.ConflictError);
+      assert.equal(err.currentVersion, 2);
+      assert.equal(err.expectedVersion, 1);
+      return adapter.find(Post, 1);
+    }).then((post) => {
+      assert.equal(post.title, 'Published');
+      assert.equal(post.version, 2);
+    });
+  });
+});
+
+describe('validateQueries', function () {
+  useMemoryDatastore({ validateQueries: true });
+
+  it('should reject queries Datastore cannot run', function () {
+    const store = this.store;
+    const adapter = this.adapter;
+    const Post = store.defineMapper('post');
+    const query = {
+      where: { status: 'published', votes: { '>': 10 } },
+      orderBy: [['createdAt', 'desc']]
+    };
+    return adapter.findAll(Post, query).then(() => {
+      throw new Error('findAll should have failed');
+    }, (err) => {
+      assert(err instanceof JSDataCloudDatastore.InvalidQueryError);
+      assert.deepEqual(err.fields, ['votes', 'createdAt']);
+      assert.deepEqual(err.index.properties, [
+        { name: 'status', direction: 'asc' },
+        { name: 'votes', direction: 'asc' },
+        { name: 'createdAt', direction: 'desc' }
+      ]);
+      query.orderBy.unshift(['votes', 'desc']);
+      assert.deepEqual(adapter.explain(Post, query).indexes, [{
+        kind: 'post',
+        ancestor: false,
+        properties: [
+          { name: 'status', direction: 'asc' },
+          { name: 'votes', direction: 'desc' },
+          { name: 'createdAt', direction: 'desc' }
+        ]
+      }]);
+    });
+  });
+});
+
+describe('recordQueries', function () {
+  useMemoryDatastore({ recordQueries: true });
+
+  it('should generate index.yaml from recorded queries and query patterns', function () {
+    const store = this.store;
+    const adapter = this.adapter;
+    const Post = store.defineMapper('post', {
+      queryPatterns: [
+        { where: { status: 'published' }, orderBy: [['votes', 'desc']] }
+      ]
+    });
+    return adapter.findAll(Post, { authorId: 1, status: 'published' }).then(() => {
+      return adapter.findAll(Post, { status: 'draft', authorId: 1, orderBy: 'createdAt' });
+    }).then(() => {
+      assert.equal(JSDataCloudDatastore.toIndexYaml(adapter.getIndexes([Post])), [
+        'indexes:',
+        '- kind: post',
+        '  properties:',
+        '  - name: authorId',
+        '  - name: status',
+        '  - name: createdAt',
+        '- kind: post',
+        '  properties:',
+        '  - name: status',
+        '  - name: votes',
+        '    direction: desc',
+        ''
+      ].join('\n'));
+    });
+  });
+});
+
+describe('MemoryDatastore', function () {
+  useMemoryDatastore({ datastoreOpts: { consistencyDelay: Infinity } });
+
+  it('should simulate eventual consistency', function () {
+    const store = this.store;
+    const adapter = this.adapter;
+    const User = store.defineMapper('user');
+    return adapter.create(User, { name: 'John' }).then((user) => {
+      return Promise.all([
+        adapter.find(User, user.id),
+        adapter.findAll(User, { name: 'John' })
+      ]);
+    }).then(([user, users]) => {
+      assert.equal(user.name, 'John');
+      assert.deepEqual(users, []);
+      adapter.datastore.applyPendingWrites();
+      return adapter.findAll(User, { name: 'John' });
+    }).then((users) => {
+      assert.equal(users.length, 1);
+    });
+  });
+
+  it('should return entities shaped like those of the client', function () {
+    const adapter = this.adapter;
+    const datastore = adapter.datastore;
+    const User = this.store.defineMapper('user');
+    return adapter.create(User, { name: 'John' }).then((user) => {
+      datastore.applyPendingWrites();
+      return Promise.all([
+        new Promise((resolve) => datastore.get(adapter.getKey(User, user.id), (err, entity) => resolve(entity || err))),
+        new Promise((resolve) => datastore.runQuery(datastore.createQuery('user'), (err, entities) => resolve(entities || err)))
+      ]).then(([entity, entities]) => {
+        assert.deepEqual(entity, { id: user.id, name: 'John' });
+        assert.strictEqual(entity[datastore.KEY].id, `${user.id}`);
+        assert.deepEqual(entities, [entity]);
+        assert.deepEqual(entities[0][datastore.KEY].path, ['user', `${user.id}`]);
+      });
+    });
   });
 });
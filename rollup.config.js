@@ -4,7 +4,8 @@ module.exports = {
   external: [
     'gcloud',
     'js-data',
-    'js-data-adapter'
+    'js-data-adapter',
+    'stream'
   ],
   plugins: [
     babel({
@@ -14,17 +14,40 @@
 
 'use strict';
 
-import { utils } from 'js-data';
+import { Transform } from 'stream';
+import { Query, utils } from 'js-data';
 import Datastore from '@google-cloud/datastore';
 import {
   Adapter,
-  reserved
+  noop,
+  noop2,
+  reserved,
+  Response,
+  withoutRelations
 } from 'js-data-adapter';
 
+const DEFAULTS = {
+  batchConcurrency: 4,
+  batchSize: 500,
+  fanOutLimit: 100,
+  likeScanLimit: 0,
+  recordQueries: false,
+  validateQueries: false
+};
+
 const DATASTORE_DEFAULTS = {
   projectId: process.env.GCLOUD_PROJECT
 };
 
+const RETRY_DEFAULTS = {
+  maxAttempts: 4,
+  initialDelay: 100,
+  maxDelay: 5000,
+  multiplier: 2,
+  // DEADLINE_EXCEEDED, ABORTED, INTERNAL and UNAVAILABLE
+  codes: [4, 10, 13, 14]
+};
+
 const equal = function (query, field, value) {
   return query.filter(field, '=', value);
 };
@@ -34,12 +57,21 @@ const equal = function (query, field, value) {
  *
  * @name module:js-data-cloud-datastore.OPERATORS
  * @property {function} == Equality operator.
+ * @property {function} = Same as `==`.
  * @property {function} > "Greater than" operator.
  * @property {function} >= "Greater than or equal to" operator.
  * @property {function} < "Less than" operator.
  * @property {function} <= "Less than or equal to" operator.
+ * @property {function} contains "Array property contains value" operator.
+ * Datastore matches an array property by equality if any of its values is
+ * equal, so `==` works too.
+ * @property {function} like "Like" operator, for prefix patterns such as
+ * `'abc%'`, which are translated into the range `>= 'abc'` and
+ * `< 'abc\ufffd'`. Other patterns are rejected, unless
+ * {@link CloudDatastoreAdapter#likeScanLimit} is set.
  */
 export const OPERATORS = {
+  '=': equal,
   '==': equal,
   '===': equal,
   '>': function (query, field, value) {
@@ -53,397 +85,3289 @@ export const OPERATORS = {
   },
   '<=': function (query, field, value) {
     return query.filter(field, '<=', value);
+  },
+  // Equality matches an array property if any of its values is equal
+  'contains': equal,
+  'like': function (query, field, value) {
+    const prefix = getLikePrefix(value);
+    if (utils.isUndefined(prefix)) {
+      throw new InvalidQueryError(`Cannot filter ${field} like '${value}', only prefix patterns such as 'abc%' can be translated into a range, see CloudDatastoreAdapter#likeScanLimit!`);
+    }
+    return query.filter(field, '>=', prefix).filter(field, '<', `${prefix}\ufffd`);
   }
 };
 
+const notEqual = function (value) {
+  return [{ '<': value }, { '>': value }];
+};
+
+const containsAny = function (value) {
+  return uniqueValues(value).map((item) => {
+    return { 'contains': item };
+  });
+};
+
 /**
- * CloudDatastoreAdapter class.
+ * Operators that a single Datastore query cannot evaluate. Each function
+ * receives the operand and returns a list of alternative criteria for the
+ * field. One Datastore query is run per alternative, and the results are
+ * merged and de-duplicated by key.
+ *
+ * A predicate function registered for one of these operators in
+ * {@link CloudDatastoreAdapter#operators} takes precedence over fan-out.
+ *
+ * `notIn`, `!=` and `!==` are run as range filters, which only match
+ * entities that have the field, so records that lack the field are never
+ * selected, unlike with the js-data Query. Queries that fan out into more
+ * than {@link CloudDatastoreAdapter#fanOutLimit} Datastore queries are
+ * rejected.
+ *
+ * @name module:js-data-cloud-datastore.FAN_OUT_OPERATORS
+ * @property {function} in "In" operator, one query per value.
+ * @property {function} notIn "Not in" operator, one query per range between
+ * the sorted values.
+ * @property {function} containsAny "Array property contains any of the
+ * values" operator, one query per value.
+ * @property {function} isectNotEmpty Same as `containsAny`.
+ * @property {function} != Inequality operator, one query per range on either
+ * side of the value.
+ */
+export const FAN_OUT_OPERATORS = {
+  'in': function (value) {
+    return uniqueValues(value).map((item) => {
+      return { '==': item };
+    });
+  },
+  'notIn': function (value) {
+    const values = uniqueValues(value).sort(compareValues);
+    if (!values.length) {
+      return [{}];
+    }
+    const ranges = values.map((item, i) => {
+      return i === 0 ? { '<': item } : { '>': values[i - 1], '<': item };
+    });
+    ranges.push({ '>': values[values.length - 1] });
+    return ranges;
+  },
+  'containsAny': containsAny,
+  'isectNotEmpty': containsAny,
+  '!=': notEqual,
+  '!==': notEqual
+};
+
+const INTEGER_REGEXP = /^-?[1-9][0-9]*$/;
+
+// "Like" patterns that match the strings starting with a given prefix
+const LIKE_PREFIX_REGEXP = /^([^%_]*)%+$/;
+
+// JSON schema formats of strings that are saved as Datastore timestamps
+const DATE_FORMATS = ['date', 'date-time'];
+
+// Datastore allows at most 500 entities to be written in a single commit
+const MAX_BATCH_SIZE = 500;
+
+// Datastore allows at most 1000 keys to be looked up in a single request
+const MAX_LOOKUP_SIZE = 1000;
+
+// Datastore allows a transaction to involve at most 25 entity groups
+const MAX_TRANSACTION_SIZE = 25;
+
+// gRPC status codes
+const INVALID_ARGUMENT = 3;
+const NOT_FOUND = 5;
+const ALREADY_EXISTS = 6;
+const RESOURCE_EXHAUSTED = 8;
+const FAILED_PRECONDITION = 9;
+const ABORTED = 10;
+const UNIMPLEMENTED = 12;
+
+const ASYNC_ITERATOR = typeof Symbol.asyncIterator === 'symbol' ? Symbol.asyncIterator : Symbol.for('Symbol.asyncIterator');
+
+const EQUALITY_OPERATORS = ['=', '==', '==='];
+const QUERY_KEYWORDS = reserved.concat(['hasAncestor', 'select']);
+const INEQUALITY_OPERATORS = ['<', '<=', '>', '>='];
+
+// Prefix "like" patterns are translated into a range, see OPERATORS
+const isInequality = function (operator) {
+  return INEQUALITY_OPERATORS.indexOf(operator) !== -1 || operator === 'like';
+};
+
+const defineError = function (ErrorClass, ParentClass, name) {
+  ErrorClass.prototype = Object.create(ParentClass.prototype, {
+    constructor: {
+      value: ErrorClass,
+      writable: true,
+      configurable: true
+    }
+  });
+  ErrorClass.prototype.name = name;
+};
+
+/**
+ * Base class of the errors of {@link CloudDatastoreAdapter}. Errors of the
+ * Datastore client are converted into the subclass matching their gRPC
+ * status code, or into this class if none matches, with the original error
+ * as `cause`.
  *
  * @example
- * // Use Container instead of DataStore on the server
- * import {Container} from 'js-data'
- * import {CloudDatastoreAdapter} from 'js-data-cloud-datastore'
+ * adapter.update(User, id, props).catch((err) => {
+ *   if (err instanceof NotFoundError) {
+ *     res.status(404).send(`${err.mapperName} ${id} not found`)
+ *   }
+ * })
  *
- * // Create a store to hold your Mappers
- * const store = new Container()
+ * @class CloudDatastoreError
+ * @extends Error
+ * @param {string} message The error message.
+ * @param {object} [props] Properties of the error.
+ * @property {string} [mapperName] Name of the Mapper of the failed call.
+ * @property {string} [kind] Datastore kind of the failed call.
+ * @property {object} [key] Datastore key of the entity concerned, if any.
+ * @property {number} [code] gRPC status code of the original error.
+ * @property {Error} [cause] Original error, e.g. of the Datastore client.
+ */
+export function CloudDatastoreError (message, props) {
+  this.message = message;
+  utils.fillIn(this, props || {});
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, this.constructor);
+  } else {
+    this.stack = new Error(message).stack;
+  }
+}
+defineError(CloudDatastoreError, Error, 'CloudDatastoreError');
+
+/**
+ * The record doesn't exist. gRPC status code `NOT_FOUND`.
  *
- * // Create an instance of CloudDatastoreAdapter with default settings
- * const adapter = new CloudDatastoreAdapter()
+ * @class NotFoundError
+ * @extends CloudDatastoreError
+ */
+export function NotFoundError (message, props) {
+  CloudDatastoreError.call(this, message, props);
+}
+defineError(NotFoundError, CloudDatastoreError, 'NotFoundError');
+
+/**
+ * A record to be created already exists. gRPC status code `ALREADY_EXISTS`.
  *
- * // Mappers in "store" will use the CloudDatastore adapter by default
- * store.registerAdapter('datastore', adapter, { default: true })
+ * @class AlreadyExistsError
+ * @extends CloudDatastoreError
+ */
+export function AlreadyExistsError (message, props) {
+  CloudDatastoreError.call(this, message, props);
+}
+defineError(AlreadyExistsError, CloudDatastoreError, 'AlreadyExistsError');
+
+/**
+ * A transaction was aborted because other transactions were writing the same
+ * entities, and retrying it didn't help, see
+ * {@link CloudDatastoreAdapter#retry}. gRPC status code `ABORTED`.
  *
- * // Create a Mapper that maps to a "user" table
- * store.defineMapper('user')
+ * @class ContentionError
+ * @extends CloudDatastoreError
+ */
+export function ContentionError (message, props) {
+  CloudDatastoreError.call(this, message, props);
+}
+defineError(ContentionError, CloudDatastoreError, 'ContentionError');
+
+/**
+ * The selection query cannot be run by Datastore, e.g. because of an
+ * unsupported operator. gRPC status code `INVALID_ARGUMENT`, for queries.
  *
- * @class CloudDatastoreAdapter
- * @extends Adapter
- * @param {object} [opts] Configuration options.
- * @param {boolean} [opts.debug=false] See {@link Adapter#debug}.
- * @param {function} [opts.datastore] See {@link CloudDatastoreAdapter#datastore}.
- * @param {object} [opts.datastoreOpts] See {@link CloudDatastoreAdapter#datastoreOpts}.
- * Ignored if you provide a pre-configured datastore instance.
- * @param {boolean} [opts.raw=false] See {@link Adapter#raw}.
+ * @class InvalidQueryError
+ * @extends CloudDatastoreError
+ * @property {string[]} [fields] The offending fields, if the query was
+ * rejected by {@link CloudDatastoreAdapter#validateQueries}.
+ * @property {object} [index] Composite index required by the suggested fix,
+ * if any, in the form of an entry of `index.yaml`.
  */
-export function CloudDatastoreAdapter (opts) {
-  utils.classCallCheck(this, CloudDatastoreAdapter);
-  opts || (opts = {});
+export function InvalidQueryError (message, props) {
+  CloudDatastoreError.call(this, message, props);
+}
+defineError(InvalidQueryError, CloudDatastoreError, 'InvalidQueryError');
+
+/**
+ * The query requires a composite index that doesn't exist. gRPC status code
+ * `FAILED_PRECONDITION`, for queries.
+ *
+ * @class MissingIndexError
+ * @extends CloudDatastoreError
+ */
+export function MissingIndexError (message, props) {
+  CloudDatastoreError.call(this, message, props);
+}
+defineError(MissingIndexError, CloudDatastoreError, 'MissingIndexError');
+
+/**
+ * A quota or rate limit was exceeded. gRPC status code `RESOURCE_EXHAUSTED`.
+ *
+ * @class QuotaError
+ * @extends CloudDatastoreError
+ */
+export function QuotaError (message, props) {
+  CloudDatastoreError.call(this, message, props);
+}
+defineError(QuotaError, CloudDatastoreError, 'QuotaError');
+
+/**
+ * A record was updated with an outdated version. Mappers opt into optimistic
+ * concurrency control with their `versionAttribute` option, the name of a
+ * numeric field holding the version of each record. Created records start at
+ * version 1, and every update increments the version. If the update, or the
+ * record given to `updateMany`, holds a version, it must be the stored
+ * version of the record, which is checked in the transaction of the update.
+ *
+ * @example
+ * const Post = store.defineMapper('post', { versionAttribute: 'version' })
+ *
+ * adapter.update(Post, post.id, { title: 'New title', version: post.version }).catch((err) => {
+ *   if (err instanceof ConflictError) {
+ *     // Someone else updated the post, reload it and try again
+ *   }
+ * })
+ *
+ * @class ConflictError
+ * @extends CloudDatastoreError
+ * @property {number} currentVersion Stored version of the record.
+ * @property {number} expectedVersion Version given by the update.
+ */
+export function ConflictError (message, props) {
+  CloudDatastoreError.call(this, message, props);
+}
+defineError(ConflictError, CloudDatastoreError, 'ConflictError');
+
+/**
+ * The record cannot be saved under a Datastore key, e.g. it lacks the
+ * primary key required by `idType: 'string'`, or its update changes the
+ * foreign key of its parent, on which its key depends.
+ *
+ * @class InvalidRecordError
+ * @extends CloudDatastoreError
+ */
+export function InvalidRecordError (message, props) {
+  CloudDatastoreError.call(this, message, props);
+}
+defineError(InvalidRecordError, CloudDatastoreError, 'InvalidRecordError');
+
+/**
+ * Some of the chunks of records written by a call failed, while others were
+ * written, see {@link CloudDatastoreAdapter#batchSize}. Calls made with
+ * `opts.raw` resolve with the partial results instead.
+ *
+ * @example
+ * adapter.createMany(User, users).catch((err) => {
+ *   if (err instanceof PartialFailureError) {
+ *     const retried = err.failed.map((failure) => failure.id)
+ *   }
+ * })
+ *
+ * @class PartialFailureError
+ * @extends CloudDatastoreError
+ * @property {Object[]} failed The `id` and `error` of each failed record.
+ * @property {Object[]} records The records that were written, if any.
+ */
+export function PartialFailureError (message, props) {
+  CloudDatastoreError.call(this, message, props);
+}
+defineError(PartialFailureError, CloudDatastoreError, 'PartialFailureError');
+
+// Error classes of the gRPC status codes that don't depend on the request
+const ERRORS = {
+  [NOT_FOUND]: NotFoundError,
+  [ALREADY_EXISTS]: AlreadyExistsError,
+  [RESOURCE_EXHAUSTED]: QuotaError,
+  [ABORTED]: ContentionError
+};
+
+const uniqueValues = function (values) {
+  const unique = [];
+  (values || []).forEach((value) => {
+    if (!unique.some((item) => compareValues(item, value) === 0)) {
+      unique.push(value);
+    }
+  });
+  return unique;
+};
+
+// Follows the order in which Datastore sorts values of different types
+const typeRank = function (value) {
+  if (utils.isUndefined(value)) {
+    return -1;
+  } else if (value === null) {
+    return 0;
+  } else if (utils.isNumber(value)) {
+    return 1;
+  } else if (utils.isDate(value)) {
+    return 2;
+  } else if (utils.isBoolean(value)) {
+    return 3;
+  } else if (utils.isString(value)) {
+    return 4;
+  }
+  return 5;
+};
+
+const compareValues = function (a, b) {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) {
+    return rankA - rankB;
+  }
+  if (utils.isDate(a)) {
+    a = a.getTime();
+    b = b.getTime();
+  }
+  if (a < b) {
+    return -1;
+  } else if (a > b) {
+    return 1;
+  }
+  return 0;
+};
+
+/**
+ * Return the path of the given key, with ids wrapped in `{ id }` objects,
+ * since the client reads ids as strings that can't be told from names.
+ */
+const getKeyPath = function (key) {
+  const path = key.parent ? getKeyPath(key.parent) : [];
+  return path.concat([key.kind, utils.isUndefined(key.name) ? { id: `${key.id}` } : key.name]);
+};
+
+/**
+ * Compare keys the way Datastore orders them: ids before names, and ids
+ * numerically.
+ */
+const compareKeys = function (a, b) {
+  const pathA = getKeyPath(a);
+  const pathB = getKeyPath(b);
+  for (var i = 0; i < Math.min(pathA.length, pathB.length); i++) {
+    const isIdA = utils.isObject(pathA[i]);
+    const isIdB = utils.isObject(pathB[i]);
+    let cmp;
+    if (isIdA && isIdB) {
+      cmp = pathA[i].id.length - pathB[i].id.length || compareValues(pathA[i].id, pathB[i].id);
+    } else {
+      cmp = isIdA || isIdB ? isIdB - isIdA : compareValues(pathA[i], pathB[i]);
+    }
+    if (cmp !== 0) {
+      return cmp;
+    }
+  }
+  return pathA.length - pathB.length;
+};
+
+/**
+ * Return the primary key of the record stored under the given key: its name,
+ * or its id, which the client reads as a string, as a number.
+ */
+const getRecordId = function (key) {
+  if (!utils.isUndefined(key.name)) {
+    return key.name;
+  }
+  const id = Number(key.id);
+  return Number.isSafeInteger(id) ? id : key.id;
+};
+
+/**
+ * Return the values of the given property of an entity, following arrays of
+ * embedded entities. Nested properties are separated by dots.
+ */
+const getPropertyValues = function (data, field) {
+  let values = [data];
+  field.split('.').forEach((name) => {
+    const next = [];
+    values.forEach((value) => {
+      [].concat(value).forEach((item) => {
+        if (utils.isObject(item) && !utils.isUndefined(item[name])) {
+          next.push(item[name]);
+        }
+      });
+    });
+    values = next;
+  });
+  return values.reduce((flat, value) => flat.concat(value), []);
+};
+
+/**
+ * Return the value of the given property that Datastore sorts an entity by.
+ * Datastore indexes each value of an array property, so an entity is sorted
+ * by its smallest value in ascending order, and by its largest value in
+ * descending order.
+ */
+const getSortValue = function (data, field, descending) {
+  const values = getPropertyValues(data, field).sort(compareValues);
+  return descending ? values[values.length - 1] : values[0];
+};
+
+/**
+ * Return the prefix matched by the given "like" pattern, or `undefined` if
+ * the pattern isn't a prefix pattern such as `'abc%'`.
+ */
+const getLikePrefix = function (pattern) {
+  const match = utils.isString(pattern) ? pattern.match(LIKE_PREFIX_REGEXP) : null;
+  return match ? match[1] : undefined;
+};
+
+/**
+ * Remove the "like" criteria that cannot be translated into a range from the
+ * "where" clause of a selection query, see
+ * {@link CloudDatastoreAdapter#likeScanLimit}. Returns the removed criteria
+ * as pairs of field and pattern.
+ */
+const takeScannedLikes = function (query) {
+  const likes = [];
+  utils.forOwn(query.where, (criteria, field) => {
+    if (!utils.isUndefined(criteria.like) && utils.isUndefined(getLikePrefix(criteria.like))) {
+      likes.push([field, criteria.like]);
+      delete criteria.like;
+    }
+  });
+  return likes;
+};
+
+/**
+ * Whether the data of an entity matches the given "like" criteria, the same
+ * way the js-data Query does. An array property matches if any of its values
+ * does.
+ */
+const matchesLikes = function (data, likes) {
+  return likes.every((like) => {
+    const regExp = Query.prototype.like(like[1]);
+    return getPropertyValues(data, like[0]).some((value) => utils.isString(value) && regExp.test(value));
+  });
+};
+
+/**
+ * Combine two sets of criteria for the same field, keeping the tighter bound
+ * when both use the same range operator. Returns `undefined` if the criteria
+ * cannot both be satisfied.
+ */
+const mergeCriteria = function (criteria, other) {
+  const merged = utils.plainCopy(criteria);
+  let satisfiable = true;
+  utils.forOwn(other, (value, operator) => {
+    if (!(operator in merged)) {
+      merged[operator] = value;
+      return;
+    }
+    const cmp = compareValues(value, merged[operator]);
+    if (operator === '<' || operator === '<=') {
+      merged[operator] = cmp < 0 ? value : merged[operator];
+    } else if (operator === '>' || operator === '>=') {
+      merged[operator] = cmp > 0 ? value : merged[operator];
+    } else if (cmp !== 0) {
+      satisfiable = false;
+    }
+  });
+  return satisfiable ? merged : undefined;
+};
+
+/**
+ * Combine two "where" clauses with a logical AND. Returns `undefined` if the
+ * clauses cannot both be satisfied.
+ */
+const mergeWhere = function (where, other) {
+  const merged = utils.plainCopy(where);
+  let satisfiable = true;
+  utils.forOwn(other, (criteria, field) => {
+    merged[field] = mergeCriteria(merged[field] || {}, criteria);
+    satisfiable = satisfiable && !!merged[field];
+  });
+  return satisfiable ? merged : undefined;
+};
+
+/**
+ * Combine two disjunctions of "where" clauses with a logical AND or OR. A
+ * disjunction is represented by the list of its "where" clauses.
+ */
+const combineWheres = function (wheres, others, isOr) {
+  if (isOr) {
+    return wheres.concat(others);
+  }
+  const combined = [];
+  wheres.forEach((where) => {
+    others.forEach((other) => {
+      const merged = mergeWhere(where, other);
+      if (merged) {
+        combined.push(merged);
+      }
+    });
+  });
+  return combined;
+};
+
+/**
+ * Return the primary keys selected by the given queries if they do nothing
+ * but select records by primary key, otherwise `undefined`.
+ */
+const getLookupIds = function (queries, idAttribute) {
+  const ids = [];
+  const isLookup = queries.every((query) => {
+    const fields = Object.keys(query.where);
+    if (fields.length !== 1 || fields[0] !== idAttribute) {
+      return false;
+    }
+    const operators = Object.keys(query.where[idAttribute]);
+    if (operators.length !== 1 || EQUALITY_OPERATORS.indexOf(operators[0]) === -1) {
+      return false;
+    }
+    const id = query.where[idAttribute][operators[0]];
+    if (!utils.isNumber(id) && !utils.isString(id)) {
+      return false;
+    }
+    ids.push(id);
+    return true;
+  });
+  return isLookup && ids.length ? uniqueValues(ids) : undefined;
+};
+
+/**
+ * Read the stream in batches of at most `size` items, calling `fn` for each
+ * batch. Reading is paused while `concurrency` promises returned by `fn` are
+ * pending. Resolves with the results of every call to `fn`, in order.
+ */
+const consumeInBatches = function (stream, size, fn, concurrency) {
+  concurrency || (concurrency = 1);
+  return new utils.Promise((resolve, reject) => {
+    const results = [];
+    let batch = [];
+    let pending = 0;
+    let ended = false;
+    let failed = false;
+    const fail = (err) => {
+      if (!failed) {
+        failed = true;
+        stream.pause();
+        reject(err);
+      }
+    };
+    const done = () => {
+      if (ended && !pending && !failed) {
+        resolve(results);
+      }
+    };
+    const flush = () => {
+      const _batch = batch;
+      const index = results.length;
+      batch = [];
+      results.push(undefined);
+      pending++;
+      if (pending >= concurrency) {
+        stream.pause();
+      }
+      utils.resolve().then(() => fn(_batch)).then((result) => {
+        results[index] = result;
+        pending--;
+        if (!failed && !ended) {
+          stream.resume();
+        }
+        done();
+      }, fail);
+    };
+    stream.on('data', (item) => {
+      batch.push(item);
+      if (batch.length >= size) {
+        flush();
+      }
+    });
+    stream.on('end', () => {
+      if (batch.length) {
+        flush();
+      }
+      ended = true;
+      done();
+    });
+    stream.on('error', fail);
+  });
+};
+
+const chunk = function (items, size) {
+  const chunks = [];
+  for (var i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * Call `fn` for each chunk of at most `size` items, with at most
+ * `concurrency` promises returned by `fn` pending at a time. Resolves with the
+ * results of every call to `fn`, in order.
+ */
+const mapInChunks = function (items, size, fn, concurrency) {
+  const chunks = chunk(items, size);
+  const results = [];
+  let next = 0;
+  const work = () => {
+    if (next >= chunks.length) {
+      return utils.resolve();
+    }
+    const index = next++;
+    return utils.resolve().then(() => fn(chunks[index])).then((result) => {
+      results[index] = result;
+      return work();
+    });
+  };
+  const workers = [];
+  for (var i = 0; i < Math.min(concurrency || 1, chunks.length); i++) {
+    workers.push(work());
+  }
+  return utils.Promise.all(workers).then(() => results);
+};
+
+/**
+ * Combine the API responses of several Datastore requests into one, by
+ * concatenating arrays and adding up numbers.
+ */
+const mergeApiResponses = function (apiResponses) {
+  if (apiResponses.length === 1) {
+    return apiResponses[0];
+  }
+  const merged = {};
+  apiResponses.forEach((apiResponse) => {
+    utils.forOwn(apiResponse, (value, key) => {
+      if (utils.isArray(value)) {
+        merged[key] = (merged[key] || []).concat(value);
+      } else if (utils.isNumber(value)) {
+        merged[key] = (merged[key] || 0) + value;
+      }
+    });
+  });
+  return merged;
+};
+
+/**
+ * Return the number of milliseconds to wait before the given retry of the
+ * specified retry policy: a random delay up to an exponentially growing
+ * maximum, see {@link CloudDatastoreAdapter#retry}.
+ */
+const getRetryDelay = function (policy, retry) {
+  return Math.random() * Math.min(policy.maxDelay, policy.initialDelay * Math.pow(policy.multiplier, retry));
+};
+
+/**
+ * Combine the results of writing several chunks of records into one. Throws
+ * the error of the first chunk if every chunk failed.
+ */
+const mergeChunkResults = function (results) {
+  let records = [];
+  results.forEach((result) => {
+    records = records.concat(result[0]);
+  });
+  const apiResponse = mergeApiResponses(results.map((result) => result[1]));
+  apiResponse.failed || (apiResponse.failed = []);
+  apiResponse.succeededChunks || (apiResponse.succeededChunks = 0);
+  apiResponse.failedChunks || (apiResponse.failedChunks = 0);
+  if (apiResponse.failedChunks && !apiResponse.succeededChunks) {
+    throw apiResponse.failed[0].error;
+  }
+  return [records, apiResponse];
+};
+
+/**
+ * Return the JSON schema of the given property of the records of the
+ * specified Mapper, if any. Nested properties are separated by dots.
+ */
+const getPropertySchema = function (mapper, field) {
+  let schema = mapper.schema;
+  field.split('.').forEach((name) => {
+    schema = getItemsSchema(schema) || schema;
+    schema = schema && schema.properties ? schema.properties[name] : undefined;
+  });
+  return schema;
+};
+
+/**
+ * Return the JSON schema of the elements of an array, if the given schema is
+ * the schema of an array.
+ */
+const getItemsSchema = function (schema) {
+  return schema && schema.items && !utils.isArray(schema.items) ? schema.items : undefined;
+};
+
+/**
+ * Whether values described by the given JSON schema are excluded from
+ * indexes. Values inherit the setting of their parent property, unless their
+ * schema sets `excludeFromIndexes` itself.
+ */
+const isExcluded = function (schema, excluded) {
+  return schema && utils.isBoolean(schema.excludeFromIndexes) ? schema.excludeFromIndexes : excluded;
+};
+
+const isPlainObject = function (value) {
+  return utils.isObject(value) && [Object.prototype, null].indexOf(Object.getPrototypeOf(value)) !== -1;
+};
+
+const hasType = function (schema, type) {
+  return !!schema && [].concat(schema.type || []).indexOf(type) !== -1;
+};
+
+/**
+ * Encode the given value as the Datastore value type declared by its JSON
+ * schema, see {@link CloudDatastoreAdapter#encodeRecord}.
+ */
+const encodeValue = function (datastore, schema, value) {
+  if (!schema || utils.isUndefined(value) || value === null) {
+    return value;
+  }
+  const items = getItemsSchema(schema);
+  if (utils.isArray(value)) {
+    return items ? value.map((item) => encodeValue(datastore, items, item)) : value;
+  } else if (items) {
+    // A single element, e.g. the operand of a filter on an array property
+    return encodeValue(datastore, items, value);
+  } else if (isPlainObject(value)) {
+    if (schema.format === 'geoPoint') {
+      return datastore.geoPoint({ latitude: value.latitude, longitude: value.longitude });
+    }
+    const data = {};
+    utils.forOwn(value, (_value, name) => {
+      data[name] = encodeValue(datastore, schema.properties ? schema.properties[name] : undefined, _value);
+    });
+    return data;
+  } else if (utils.isNumber(value)) {
+    if (hasType(schema, 'integer') && value % 1 === 0) {
+      return datastore.int(value);
+    } else if (hasType(schema, 'number')) {
+      return datastore.double(value);
+    }
+  } else if (utils.isString(value)) {
+    if (hasType(schema, 'integer') && INTEGER_REGEXP.test(value)) {
+      // Integers that don't fit in a JavaScript number
+      return datastore.int(value);
+    } else if (DATE_FORMATS.indexOf(schema.format) !== -1) {
+      return new Date(value);
+    } else if (schema.contentEncoding === 'base64') {
+      return Buffer.from(value, 'base64');
+    }
+  }
+  return value;
+};
+
+/**
+ * Return the class of the keys created by the Datastore client's `key`
+ * method, since older clients have no `isKey` method. Keys are the only
+ * values the client doesn't decode into plain JavaScript values.
+ */
+const getValueTypes = function (datastore) {
+  return {
+    Key: datastore.key(['Kind']).constructor
+  };
+};
+
+/**
+ * Return the primary key of the record stored under the given key, as the
+ * type declared by the JSON schema of the property that holds it.
+ */
+const decodeKey = function (schema, key) {
+  const id = getRecordId(key);
+  if (hasType(schema, 'string')) {
+    return `${id}`;
+  } else if ((hasType(schema, 'integer') || hasType(schema, 'number')) && INTEGER_REGEXP.test(id)) {
+    return +id;
+  }
+  return id;
+};
+
+/**
+ * Decode the given Datastore value into the JavaScript type declared by its
+ * JSON schema, see {@link CloudDatastoreAdapter#decodeRecord}. `types` are
+ * the classes returned by `getValueTypes`.
+ */
+const decodeValue = function (types, schema, value) {
+  if (utils.isUndefined(value) || value === null) {
+    return value;
+  }
+  const items = getItemsSchema(schema);
+  if (utils.isArray(value)) {
+    return value.map((item) => decodeValue(types, items, item));
+  } else if (items) {
+    // A single element, e.g. a projected value of an array property
+    return decodeValue(types, items, value);
+  } else if (value instanceof types.Key) {
+    return schema && schema.format === 'key' ? decodeKey(schema, value) : value;
+  } else if (utils.isDate(value)) {
+    if (hasType(schema, 'string')) {
+      return schema.format === 'date' ? value.toISOString().substr(0, 10) : value.toISOString();
+    }
+  } else if (Buffer.isBuffer(value)) {
+    if (hasType(schema, 'string')) {
+      return value.toString('base64');
+    }
+  } else if (isPlainObject(value)) {
+    const record = {};
+    utils.forOwn(value, (_value, name) => {
+      record[name] = decodeValue(types, schema && schema.properties ? schema.properties[name] : undefined, _value);
+    });
+    return record;
+  }
+  return value;
+};
+
+/**
+ * Return the JSON schema of the records of the specified Mapper used to decode
+ * them: foreign keys saved as keys whose schema declares no type have the
+ * `idType` of the related Mapper.
+ */
+const getDecodingSchema = function (mapper) {
+  let properties;
+  (mapper.relationList || []).forEach((def) => {
+    if (def.type !== 'belongsTo') {
+      return;
+    }
+    const schema = getPropertySchema(mapper, def.foreignKey);
+    const relatedMapper = def.getRelation();
+    if (relatedMapper && relatedMapper.idType && schema && schema.format === 'key' && !schema.type) {
+      properties || (properties = Object.assign({}, mapper.schema.properties));
+      properties[def.foreignKey] = Object.assign({}, schema, { type: relatedMapper.idType });
+    }
+  });
+  return properties ? Object.assign({}, mapper.schema, { properties }) : mapper.schema;
+};
+
+/**
+ * Whether the values described by the given JSON schema, or any value nested
+ * in them, are excluded from indexes.
+ */
+const hasExcludedValues = function (schema, excluded) {
+  excluded = isExcluded(schema, excluded);
+  if (excluded || !schema) {
+    return excluded;
+  }
+  const properties = schema.properties || {};
+  return hasExcludedValues(getItemsSchema(schema), excluded) || Object.keys(properties).some((name) => {
+    return hasExcludedValues(properties[name], excluded);
+  });
+};
+
+/**
+ * Whether the given property holds the primary key of the records of the
+ * specified Mapper, or a foreign key of one of its belongsTo relations. The
+ * adapter queries these properties, so they are only excluded from indexes if
+ * their own schema says so.
+ */
+const isKeyProperty = function (mapper, field) {
+  return field === mapper.idAttribute || (mapper.relationList || []).some((def) => {
+    return def.type === 'belongsTo' && def.foreignKey === field;
+  });
+};
+
+/**
+ * Whether the given property of the records of the specified Mapper is
+ * indexed, see {@link CloudDatastoreAdapter#getExcludeFromIndexes}. Nested
+ * properties are indexed if the top-level property that holds them is.
+ */
+const isIndexed = function (mapper, field) {
+  const name = field.split('.')[0];
+  const schema = getPropertySchema(mapper, name);
+  if (isKeyProperty(mapper, name)) {
+    return !isExcluded(schema, false);
+  }
+  return !hasExcludedValues(schema, isExcluded(mapper.schema, !!mapper.excludeFromIndexes));
+};
+
+const keyToString = function (key) {
+  return JSON.stringify([key.namespace || null].concat(getKeyPath(key)));
+};
+
+/**
+ * Copy the selection query, keeping its ancestor key as is, since Datastore
+ * only accepts instances of its own key class.
+ */
+const copyQuery = function (query) {
+  const copy = utils.plainCopy(query);
+  if (query.hasAncestor) {
+    copy.hasAncestor = query.hasAncestor;
+  }
+  return copy;
+};
+
+/**
+ * Copy the selection query and move non-keyword properties into the "where"
+ * clause, so that the query is in the form expected by
+ * {@link CloudDatastoreAdapter#filterQuery}.
+ */
+const normalizeQuery = function (query) {
+  query = copyQuery(query || {});
+  query.where || (query.where = {});
+  query.orderBy || (query.orderBy = query.sort);
+  query.orderBy || (query.orderBy = []);
+  query.skip || (query.skip = query.offset);
+  delete query.sort;
+  delete query.offset;
+
+  // Transform non-keyword properties to "where" clause configuration
+  const where = {};
+  utils.forOwn(query, (config, keyword) => {
+    if (QUERY_KEYWORDS.indexOf(keyword) === -1) {
+      where[keyword] = config;
+      delete query[keyword];
+    }
+  });
+  if (utils.isArray(query.where)) {
+    // Grouped "where" clauses are combined with the remaining criteria
+    if (Object.keys(where).length) {
+      query.where = [query.where, where];
+    }
+  } else {
+    utils.fillIn(query.where, where);
+    utils.forOwn(query.where, (criteria, field) => {
+      if (!utils.isObject(criteria)) {
+        query.where[field] = {
+          '==': criteria
+        };
+      }
+    });
+  }
+
+  if (utils.isString(query.orderBy)) {
+    query.orderBy = [
+      [query.orderBy, 'asc']
+    ];
+  }
+  query.orderBy = query.orderBy.map((clause) => utils.isString(clause) ? [clause, 'asc'] : clause);
+
+  return query;
+};
+
+/**
+ * Return the fields that have an inequality filter in the "where" clause of
+ * a normalized selection query.
+ */
+const getInequalityFields = function (query) {
+  return Object.keys(query.where).filter((field) => {
+    return Object.keys(query.where[field]).some(isInequality);
+  });
+};
+
+/**
+ * Return the properties to project to retrieve the given fields of the
+ * records of the specified Mapper, see
+ * {@link CloudDatastoreAdapter#_findAllProjected}.
+ */
+const getProjection = function (mapper, query, fields) {
+  const orderBy = normalizeQuery(query).orderBy.map((clause) => clause[0]);
+  const select = uniqueValues(fields.concat(orderBy)).filter((field) => field !== mapper.idAttribute);
+  return select.length ? select : '__key__';
+};
+
+/**
+ * Return the composite index that a single Datastore query of the given kind
+ * requires, in the form of an entry of `index.yaml`, or `undefined` if the
+ * built-in indexes are enough. The query is a normalized selection query,
+ * with the properties to project in `query.select`.
+ *
+ * Built-in indexes serve queries with only equality and ancestor filters,
+ * and queries on a single property without an ancestor filter. Other queries
+ * need an index of their equality filters, then of their sort orders, the
+ * property of the inequality filter first, then of their projections.
+ */
+const getCompositeIndex = function (kind, query) {
+  const properties = [];
+  const add = (name, direction) => {
+    if (name !== '__key__' && !properties.some((property) => property.name === name)) {
+      properties.push({ name, direction });
+    }
+  };
+  const inequalityFields = getInequalityFields(query);
+  // Any order of the equality filters serves the query, sorting them lets
+  // queries share indexes
+  Object.keys(query.where).filter((field) => {
+    return Object.keys(query.where[field]).some((operator) => !isInequality(operator));
+  }).sort().forEach((field) => add(field, 'asc'));
+  const equalities = properties.length;
+  if (!query.orderBy.length && inequalityFields.length) {
+    add(inequalityFields[0], 'asc');
+  }
+  query.orderBy.forEach((clause) => add(clause[0], clause[1].toLowerCase()));
+  [].concat(query.select || []).forEach((field) => add(field, 'asc'));
+
+  if (properties.length === equalities || (properties.length === 1 && !query.hasAncestor)) {
+    return;
+  }
+  return {
+    kind,
+    ancestor: !!query.hasAncestor,
+    properties
+  };
+};
+
+/**
+ * Format a composite index, see {@link getCompositeIndex}, as an entry of
+ * `index.yaml`.
+ */
+const formatIndex = function (index) {
+  const lines = [`- kind: ${index.kind}`];
+  if (index.ancestor) {
+    lines.push('  ancestor: yes');
+  }
+  lines.push('  properties:');
+  index.properties.forEach((property) => {
+    lines.push(`  - name: ${property.name}`);
+    if (property.direction === 'desc') {
+      lines.push('    direction: desc');
+    }
+  });
+  return lines.join('\n');
+};
+
+/**
+ * Add the composite index to the list, unless the list already has it.
+ */
+const addIndex = function (indexes, index) {
+  const id = JSON.stringify(index);
+  if (!indexes.some((other) => JSON.stringify(other) === id)) {
+    indexes.push(index);
+  }
+};
+
+/**
+ * Format the given composite indexes as an `index.yaml` file, for
+ * deployment with `gcloud datastore indexes create index.yaml`. Duplicate
+ * indexes are left out, and the indexes are sorted so that the file only
+ * changes when the indexes do.
+ *
+ * @example
+ * import fs from 'fs'
+ * import {toIndexYaml} from 'js-data-cloud-datastore'
+ *
+ * fs.writeFileSync('index.yaml', toIndexYaml(adapter.getIndexes([User, Post])))
+ *
+ * @name module:js-data-cloud-datastore.toIndexYaml
+ * @param {Object[]} indexes Composite indexes, see
+ * {@link CloudDatastoreAdapter#getIndexes}.
+ * @return {string} The content of `index.yaml`.
+ */
+export const toIndexYaml = function (indexes) {
+  const unique = [];
+  (indexes || []).forEach((index) => addIndex(unique, index));
+  if (!unique.length) {
+    return 'indexes: []\n';
+  }
+  const entries = unique.map(formatIndex).sort();
+  return ['indexes:'].concat(entries).join('\n') + '\n';
+};
+
+/**
+ * CloudDatastoreAdapter class.
+ *
+ * Datastore cannot merge changes into a stored entity, so `update`,
+ * `updateMany` and `updateAll` read each record and write it back in a
+ * transaction: every update costs a read and a write, even if it only
+ * changes one property. {@link CloudDatastoreAdapter#upsert} writes without
+ * reading, but replaces the whole record.
+ *
+ * `count`, `sum` and {@link CloudDatastoreAdapter#avg} use Datastore
+ * aggregation queries if the Datastore client supports them, which
+ * `@google-cloud/datastore` 1.x, the client this adapter depends on, does
+ * not. With that client they query the matching records and compute the
+ * result from their keys or values instead.
+ *
+ * @example
+ * // Use Container instead of DataStore on the server
+ * import {Container} from 'js-data'
+ * import {CloudDatastoreAdapter} from 'js-data-cloud-datastore'
+ *
+ * // Create a store to hold your Mappers
+ * const store = new Container()
+ *
+ * // Create an instance of CloudDatastoreAdapter with default settings
+ * const adapter = new CloudDatastoreAdapter()
+ *
+ * // Mappers in "store" will use the CloudDatastore adapter by default
+ * store.registerAdapter('datastore', adapter, { default: true })
+ *
+ * // Create a Mapper that maps to a "user" table
+ * store.defineMapper('user')
+ *
+ * @class CloudDatastoreAdapter
+ * @extends Adapter
+ * @param {object} [opts] Configuration options.
+ * @param {number} [opts.batchConcurrency=4] See {@link CloudDatastoreAdapter#batchConcurrency}.
+ * @param {number} [opts.batchSize=500] See {@link CloudDatastoreAdapter#batchSize}.
+ * @param {boolean} [opts.debug=false] See {@link Adapter#debug}.
+ * @param {number} [opts.fanOutLimit=100] See {@link CloudDatastoreAdapter#fanOutLimit}.
+ * @param {number} [opts.likeScanLimit=0] See {@link CloudDatastoreAdapter#likeScanLimit}.
+ * @param {function} [opts.datastore] See {@link CloudDatastoreAdapter#datastore}.
+ * @param {object} [opts.datastoreOpts] See {@link CloudDatastoreAdapter#datastoreOpts}.
+ * Ignored if you provide a pre-configured datastore instance.
+ * @param {string} [opts.namespace] See {@link CloudDatastoreAdapter#namespace}.
+ * @param {boolean} [opts.raw=false] See {@link Adapter#raw}.
+ * @param {boolean} [opts.recordQueries=false] See {@link CloudDatastoreAdapter#recordQueries}.
+ * @param {object} [opts.retry] See {@link CloudDatastoreAdapter#retry}.
+ * @param {boolean} [opts.validateQueries=false] See {@link CloudDatastoreAdapter#validateQueries}.
+ */
+export function CloudDatastoreAdapter (opts) {
+  utils.classCallCheck(this, CloudDatastoreAdapter);
+  opts || (opts = {});
+  utils.fillIn(opts, DEFAULTS);
+
+  // Setup non-enumerable properties
+  Object.defineProperties(this, {
+    /**
+     * Instance of Datastore used by this adapter. Use this directly when
+     * you need to write custom queries.
+     *
+     * @name CloudDatastoreAdapter#datastore
+     * @type {object}
+     */
+    datastore: {
+      writable: true,
+      value: undefined
+    },
+
+    /**
+     * Composite indexes required by the queries run so far, if
+     * {@link CloudDatastoreAdapter#recordQueries} is enabled.
+     *
+     * @name CloudDatastoreAdapter#recordedIndexes
+     * @type {Object[]}
+     */
+    recordedIndexes: {
+      writable: true,
+      value: []
+    }
+  });
+
+  Adapter.call(this, opts);
+
+  /**
+   * Options to be passed to a new Datastore instance, if one wasn't provided.
+   *
+   * @name CloudDatastoreAdapter#datastoreOpts
+   * @type {object}
+   * @default {}
+   * @property {string} projectId Google Cloud Platform project id.
+   */
+  this.datastoreOpts || (this.datastoreOpts = {});
+  utils.fillIn(this.datastoreOpts, DATASTORE_DEFAULTS);
+
+  /**
+   * Override the default predicate functions for the specified operators.
+   *
+   * @name CloudDatastoreAdapter#operators
+   * @type {object}
+   * @default {}
+   */
+  this.operators || (this.operators = {});
+  utils.fillIn(this.operators, OPERATORS);
+
+  /**
+   * Datastore namespace used by Mappers that don't specify their own
+   * `namespace`. Can be overridden per call with `opts.namespace`. If not set,
+   * the namespace of {@link CloudDatastoreAdapter#datastore} is used.
+   *
+   * @name CloudDatastoreAdapter#namespace
+   * @type {string}
+   * @default undefined
+   */
+
+  /**
+   * Maximum number of records written or deleted per Datastore request by
+   * methods that write many records, such as `createMany`, `upsertMany` and
+   * `destroyAll`. Cannot exceed the 500 entities Datastore allows per commit.
+   * Creates, updates and versioned upserts, which read and write records in
+   * transactions, are further limited to 25 records per transaction. Can be
+   * overridden per call with `opts.batchSize`.
+   *
+   * Records are written in chunks of this size, so that a chunk that fails
+   * doesn't fail the others. If every chunk failed, the call fails with the
+   * error of the first chunk. If only some did, it fails with a
+   * {@link PartialFailureError} listing the `id` and `error` of the records
+   * of failed chunks in `failed`, unless `opts.raw` is set, in which case the
+   * response metadata lists them in `failed`, and the numbers of chunks in
+   * `succeededChunks` and `failedChunks`. In `opts.transaction`, any failed
+   * chunk fails the call.
+   *
+   * @name CloudDatastoreAdapter#batchSize
+   * @type {number}
+   * @default 500
+   */
+
+  /**
+   * Maximum number of chunks of records, see
+   * {@link CloudDatastoreAdapter#batchSize}, written at the same time, and of
+   * Datastore queries run at the same time by a selection query that fans
+   * out, see {@link module:js-data-cloud-datastore.FAN_OUT_OPERATORS}. Can be
+   * overridden per call with `opts.batchConcurrency`.
+   *
+   * @name CloudDatastoreAdapter#batchConcurrency
+   * @type {number}
+   * @default 4
+   */
+
+  /**
+   * Maximum number of Datastore queries a selection query may fan out into,
+   * see {@link module:js-data-cloud-datastore.FAN_OUT_OPERATORS}. Fan-out
+   * operators combined by a logical AND multiply the number of queries, e.g.
+   * two "in" lists of 20 values make 400 queries. Selection queries that fan
+   * out into more queries are rejected with an {@link InvalidQueryError}.
+   * Selections by primary key only, which are looked up rather than queried,
+   * aren't limited. Can be overridden per call with `opts.fanOutLimit`.
+   *
+   * @name CloudDatastoreAdapter#fanOutLimit
+   * @type {number}
+   * @default 100
+   */
+
+  /**
+   * Policy for retrying requests that failed with a transient error, e.g.
+   * because Datastore was briefly unavailable or a transaction was aborted
+   * because of contention. Properties not given by `opts.retry` of a call are
+   * taken from this policy.
+   *
+   * Only idempotent requests are retried on their own: lookups, queries, id
+   * allocations, deletes, and saves that update or upsert. Requests made
+   * within a transaction are not, the whole transaction is retried instead,
+   * see {@link CloudDatastoreAdapter#transaction}. Queries streamed by
+   * {@link CloudDatastoreAdapter#findAllStream} are not retried. The number
+   * of retries made by a call is given by the `retries` of its response
+   * metadata.
+   *
+   * @example
+   * // Disable retries for a single call
+   * adapter.findAll(User, {}, { retry: { maxAttempts: 1 } })
+   *
+   * @name CloudDatastoreAdapter#retry
+   * @type {object}
+   * @property {number} [maxAttempts=4] Maximum number of attempts, including
+   * the first one.
+   * @property {number} [initialDelay=100] Maximum number of milliseconds to
+   * wait before the first retry. The actual delay is random, so that clients
+   * don't retry in lockstep.
+   * @property {number} [maxDelay=5000] Maximum number of milliseconds to wait
+   * before any retry.
+   * @property {number} [multiplier=2] Factor by which the maximum delay grows
+   * with each retry.
+   * @property {number[]} [codes=[4, 10, 13, 14]] gRPC status codes of the
+   * errors to retry: `DEADLINE_EXCEEDED`, `ABORTED`, `INTERNAL` and
+   * `UNAVAILABLE`.
+   */
+  this.retry || (this.retry = {});
+  utils.fillIn(this.retry, RETRY_DEFAULTS);
+
+  /**
+   * Whether to check each Datastore query against the restrictions of
+   * Datastore queries before running it, instead of relying on the error
+   * returned by Datastore. A query is rejected with an
+   * {@link InvalidQueryError} naming the offending fields if it has
+   * inequality filters on more than one property, if the property of its
+   * inequality filter isn't the first it is sorted by, or if it filters,
+   * sorts or projects properties excluded from indexes, see
+   * {@link CloudDatastoreAdapter#getExcludeFromIndexes}. Can be overridden
+   * per call with `opts.validateQueries`.
+   *
+   * Whether the composite indexes a query requires exist isn't checked, see
+   * {@link CloudDatastoreAdapter#explain}.
+   *
+   * @name CloudDatastoreAdapter#validateQueries
+   * @type {boolean}
+   * @default false
+   */
+
+  /**
+   * Maximum number of entities to scan to evaluate "like" patterns that
+   * cannot be translated into a range, such as `'%abc%'`, see
+   * {@link module:js-data-cloud-datastore.OPERATORS}. Such patterns are
+   * rejected with an {@link InvalidQueryError} if `0`. Otherwise the query is
+   * run without them, and the entities it selects are matched against the
+   * patterns client-side. The query fails if it selects more entities than
+   * this limit, rather than returning incomplete results, and cannot use
+   * cursors. `count`, `sum` and `avg` scan the same way, rather than using
+   * aggregation queries. Can be overridden per call with
+   * `opts.likeScanLimit`.
+   *
+   * @example
+   * // Autocomplete, with a range query
+   * adapter.findAll(User, { name: { 'like': 'Jo%' }, limit: 10 })
+   *
+   * // Search within names, scanning the users of a small team
+   * adapter.findAll(User, { teamId: 42, name: { 'like': '%jo%' } }, { likeScanLimit: 200 })
+   *
+   * @name CloudDatastoreAdapter#likeScanLimit
+   * @type {number}
+   * @default 0
+   */
+
+  /**
+   * Whether to record the composite index each Datastore query requires,
+   * based on the kind, equality and inequality filters, sort orders,
+   * ancestor and projection of the query, in
+   * {@link CloudDatastoreAdapter#recordedIndexes}. Enable it when running a
+   * test suite that covers the queries of an application, then generate its
+   * `index.yaml` with {@link CloudDatastoreAdapter#getIndexes} and
+   * {@link module:js-data-cloud-datastore.toIndexYaml}. Can be overridden per
+   * call with `opts.recordQueries`.
+   *
+   * @name CloudDatastoreAdapter#recordQueries
+   * @type {boolean}
+   * @default false
+   */
+
+  this.datastore || (this.datastore = Datastore(this.datastoreOpts));
+}
+
+Adapter.extend({
+  constructor: CloudDatastoreAdapter,
+
+  /**
+   * Lifecycle method called by {@link CloudDatastoreAdapter#avg}. Works like
+   * {@link Adapter#afterSum}.
+   *
+   * @method CloudDatastoreAdapter#afterAvg
+   * @param {object} mapper The `mapper` argument passed to avg.
+   * @param {string} field The `field` argument passed to avg.
+   * @param {object} query The `query` argument passed to avg.
+   * @param {object} opts The `opts` argument passed to avg.
+   * @property {string} opts.op `afterAvg`
+   * @param {Object|Response} response Average or {@link Response},
+   * depending on the value of `opts.raw`.
+   */
+  afterAvg: noop2,
+
+  /**
+   * Lifecycle method called by {@link CloudDatastoreAdapter#upsert}. Works
+   * like {@link Adapter#afterCreate}.
+   *
+   * @method CloudDatastoreAdapter#afterUpsert
+   * @param {object} mapper The `mapper` argument passed to upsert.
+   * @param {object} props The `props` argument passed to upsert.
+   * @param {object} opts The `opts` argument passed to upsert.
+   * @property {string} opts.op `afterUpsert`
+   * @param {Object|Response} response Saved record or {@link Response},
+   * depending on the value of `opts.raw`.
+   */
+  afterUpsert: noop2,
+
+  /**
+   * Lifecycle method called by {@link CloudDatastoreAdapter#upsertMany}.
+   * Works like {@link Adapter#afterCreateMany}.
+   *
+   * @method CloudDatastoreAdapter#afterUpsertMany
+   * @param {object} mapper The `mapper` argument passed to upsertMany.
+   * @param {Object[]} props The `props` argument passed to upsertMany.
+   * @param {object} opts The `opts` argument passed to upsertMany.
+   * @property {string} opts.op `afterUpsertMany`
+   * @param {Object[]|Response} response Saved records or {@link Response},
+   * depending on the value of `opts.raw`.
+   */
+  afterUpsertMany: noop2,
+
+  /**
+   * Lifecycle method called by {@link CloudDatastoreAdapter#avg}. Works like
+   * {@link Adapter#beforeSum}.
+   *
+   * @method CloudDatastoreAdapter#beforeAvg
+   * @param {object} mapper The `mapper` argument passed to avg.
+   * @param {string} field The `field` argument passed to avg.
+   * @param {object} query The `query` argument passed to avg.
+   * @param {object} opts The `opts` argument passed to avg.
+   * @property {string} opts.op `beforeAvg`
+   */
+  beforeAvg: noop,
+
+  /**
+   * Lifecycle method called by {@link CloudDatastoreAdapter#upsert}. Works
+   * like {@link Adapter#beforeCreate}.
+   *
+   * @method CloudDatastoreAdapter#beforeUpsert
+   * @param {object} mapper The `mapper` argument passed to upsert.
+   * @param {object} props The `props` argument passed to upsert.
+   * @param {object} opts The `opts` argument passed to upsert.
+   * @property {string} opts.op `beforeUpsert`
+   */
+  beforeUpsert: noop,
+
+  /**
+   * Lifecycle method called by {@link CloudDatastoreAdapter#upsertMany}.
+   * Works like {@link Adapter#beforeCreateMany}.
+   *
+   * @method CloudDatastoreAdapter#beforeUpsertMany
+   * @param {object} mapper The `mapper` argument passed to upsertMany.
+   * @param {Object[]} props The `props` argument passed to upsertMany.
+   * @param {object} opts The `opts` argument passed to upsertMany.
+   * @property {string} opts.op `beforeUpsertMany`
+   */
+  beforeUpsertMany: noop,
+
+  /**
+   * Retrieve the average of the specified field of the records that match the
+   * selection query. Records whose field isn't a number are ignored. The
+   * average is computed from the matching records with
+   * `@google-cloud/datastore` 1.x, which lacks aggregation queries, see
+   * {@link CloudDatastoreAdapter}.
+   *
+   * @example
+   * adapter.avg(Order, 'total', { status: 'paid' }).then((avg) => {
+   *   console.log(avg)
+   * })
+   *
+   * @method CloudDatastoreAdapter#avg
+   * @param {object} mapper The mapper.
+   * @param {string} field The field to average.
+   * @param {object} [query] Selection query.
+   * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.raw=false] Whether to return a more detailed
+   * response object.
+   * @return {Promise} Resolves with the average, or `null` if no record has a
+   * numeric value for the field.
+   */
+  avg (mapper, field, query, opts) {
+    let op;
+    if (!utils.isString(field)) {
+      throw new Error('field must be a string!');
+    }
+    query || (query = {});
+    opts || (opts = {});
+
+    // beforeAvg lifecycle hook
+    op = opts.op = 'beforeAvg';
+    return utils.resolve(this[op](mapper, field, query, opts)).then(() => {
+      op = opts.op = 'avg';
+      this.dbg(op, mapper, field, query, opts);
+      return utils.resolve(this._avg(mapper, field, query, opts));
+    }).then((results) => {
+      let [data, result] = results;
+      result || (result = {});
+      let response = new Response(data, result, op);
+      response = this.respond(response, opts);
+
+      // afterAvg lifecycle hook
+      op = opts.op = 'afterAvg';
+      return utils.resolve(this[op](mapper, field, query, opts, response)).then((_response) => _response === undefined ? response : _response);
+    });
+  },
+
+  /**
+   * Retrieve the records that match the selection query one page at a time,
+   * using query cursors to fetch each page after the first. The size of each
+   * page is the `limit` of the selection query. Selection queries that can't
+   * use cursors, e.g. those that fan out, see
+   * {@link module:js-data-cloud-datastore.FAN_OUT_OPERATORS}, or select
+   * records by primary key, are paged by skipping the records of the previous
+   * pages instead, which gets slower with each page.
+   *
+   * @example
+   * adapter.eachPage(User, { status: 'active', limit: 500 }, (users) => {
+   *   return sendNewsletter(users)
+   * }).then(() => {
+   *   console.log('done')
+   * })
+   *
+   * @method CloudDatastoreAdapter#eachPage
+   * @param {object} mapper The mapper.
+   * @param {object} [query] Selection query.
+   * @param {function} fn Called with the records of each page and the raw
+   * response for that page. May return a promise, which is waited for before
+   * the next page is retrieved. Return `false` to stop after this page.
+   * @param {object} [opts] Configuration options, passed to
+   * {@link Adapter#findAll}.
+   * @return {Promise} Resolves once every page has been processed.
+   */
+  eachPage (mapper, query, fn, opts) {
+    opts || (opts = {});
+    query = copyQuery(query || {});
+
+    const nextPage = (startCursor, isFirst) => {
+      const _opts = {
+        raw: true,
+        startCursor: startCursor
+      };
+      utils.fillIn(_opts, opts);
+      return this.findAll(mapper, query, _opts).then((response) => {
+        const data = response.data;
+        const endCursor = response.endCursor;
+        if (endCursor) {
+          // Only the first page is offset
+          delete query.skip;
+        } else {
+          query.skip = (+query.skip || +query.offset || 0) + data.length;
+        }
+        delete query.offset;
+        if (!data.length && !isFirst) {
+          // The previous page was the last one
+          return;
+        }
+        return utils.resolve(fn(data, response)).then((result) => {
+          if (result === false || !data.length) {
+            return;
+          } else if (endCursor) {
+            if (response.moreResults !== this.datastore.NO_MORE_RESULTS) {
+              return nextPage(endCursor);
+            }
+          } else if (+query.limit && data.length >= +query.limit) {
+            return nextPage();
+          }
+        });
+      });
+    };
+
+    return nextPage(opts.startCursor, true);
+  },
+
+  /**
+   * Expand the selection query into the list of selection queries that
+   * Datastore can run individually, one per conjunction of criteria. The
+   * selected records are the union of the records selected by each query.
+   * Disjunctions come from the `|`-prefixed operators, from `'or'` in grouped
+   * "where" clauses, and from the alternatives produced by the
+   * {@link module:js-data-cloud-datastore.FAN_OUT_OPERATORS}. Every query in
+   * the list keeps the sorting, skip and limit of the original query.
+   *
+   * @method CloudDatastoreAdapter#expandQuery
+   * @param {object} [query] Selection query.
+   * @param {object} [opts] Configuration options.
+   * @param {object} [opts.operators] Override the default predicate functions
+   * for specified operators.
+   * @return {Object[]} The selection queries. Empty if the query cannot match
+   * anything, e.g. because of an empty "in" list.
+   */
+  expandQuery (query, opts) {
+    query = normalizeQuery(query);
+    const wheres = utils.isArray(query.where) ? this._expandWhereArray(query.where, opts) : this._expandWhereObject(query.where, opts);
+
+    return wheres.map((where) => {
+      const _query = copyQuery(query);
+      _query.where = where;
+      return _query;
+    });
+  },
+
+  /**
+   * Expand a "where" clause in object form into a disjunction of "where"
+   * clauses that use only operators Datastore can evaluate. Criteria are
+   * combined from left to right, with the `|`-prefixed operators combined by a
+   * logical OR, the same way the js-data Query does.
+   *
+   * @method CloudDatastoreAdapter#_expandWhereObject
+   * @private
+   * @param {object} where "Where" clause.
+   * @param {object} [opts] Configuration options.
+   * @return {Object[]} The "where" clauses.
+   */
+  _expandWhereObject (where, opts) {
+    let wheres;
+    utils.forOwn(where, (criteria, field) => {
+      if (!utils.isObject(criteria)) {
+        criteria = {
+          '==': criteria
+        };
+      }
+      utils.forOwn(criteria, (value, operator) => {
+        const isOr = operator[0] === '|';
+        if (isOr) {
+          operator = operator.substr(1);
+        }
+        const fanOut = FAN_OUT_OPERATORS[operator];
+        const alternatives = !fanOut || this.getOperator(operator, opts) ? [{ [operator]: value }] : fanOut(value);
+        const _wheres = alternatives.map((alternative) => {
+          return { [field]: alternative };
+        });
+        wheres = wheres ? combineWheres(wheres, _wheres, isOr) : _wheres;
+      });
+    });
+    return wheres || [{}];
+  },
+
+  /**
+   * Expand a grouped "where" clause, e.g.
+   * `[{ status: 'draft' }, 'or', [{ ... }, 'and', { ... }]]`, into a
+   * disjunction of "where" clauses that use only operators Datastore can
+   * evaluate. Groups are combined from left to right, by a logical AND unless
+   * preceded by `'or'`.
+   *
+   * @method CloudDatastoreAdapter#_expandWhereArray
+   * @private
+   * @param {Array} where Grouped "where" clause.
+   * @param {object} [opts] Configuration options.
+   * @return {Object[]} The "where" clauses.
+   */
+  _expandWhereArray (where, opts) {
+    let wheres;
+    where.forEach((group, i) => {
+      if (utils.isString(group)) {
+        return;
+      }
+      const _wheres = utils.isArray(group) ? this._expandWhereArray(group, opts) : this._expandWhereObject(group, opts);
+      wheres = wheres ? combineWheres(wheres, _wheres, where[i - 1] === 'or') : _wheres;
+    });
+    return wheres || [{}];
+  },
+
+  /**
+   * Return the Datastore requests that would be made to retrieve the records
+   * that match the selection query, without making them. The Datastore
+   * queries are checked like with {@link CloudDatastoreAdapter#validateQueries},
+   * unless `opts.validateQueries` is `false`.
+   *
+   * @example
+   * const { queries, indexes } = adapter.explain(Post, {
+   *   where: { status: 'published', votes: { '>': 10 } },
+   *   orderBy: [['votes', 'desc']]
+   * })
+   * // indexes: [{ kind: 'post', ancestor: false, properties: [
+   * //   { name: 'status', direction: 'asc' },
+   * //   { name: 'votes', direction: 'desc' }
+   * // ] }]
+   *
+   * @method CloudDatastoreAdapter#explain
+   * @param {object} mapper The mapper.
+   * @param {object} [query] Selection query, see
+   * {@link CloudDatastoreAdapter#filterQuery}.
+   * @param {(string|string[])} [query.select] Fields to retrieve.
+   * @param {object} [opts] Configuration options.
+   * @param {(string|string[])} [opts.fields] Same as `query.select`.
+   * @return {object} The Datastore `queries` to run, one per query the
+   * selection query fans out into, see
+   * {@link CloudDatastoreAdapter#expandQuery}, and the composite `indexes`
+   * they require, in the form of entries of `index.yaml`. If the records are
+   * looked up by primary key instead, `keys` holds the Datastore keys and
+   * there are no queries.
+   */
+  explain (mapper, query, opts) {
+    const _opts = { validateQueries: true };
+    utils.fillIn(_opts, opts || {});
+    opts = _opts;
+    query = normalizeQuery(query);
+    const fields = utils.isUndefined(query.select) ? opts.fields : query.select;
+    const select = utils.isUndefined(fields) ? undefined : getProjection(mapper, query, utils.isArray(fields) ? fields : [fields]);
+    const queries = this.expandQuery(query, opts);
+    const ids = this._getLookupIds(mapper, query, queries, opts);
+    if (ids) {
+      return {
+        keys: ids.map((id) => this.getKey(mapper, id, opts)),
+        queries: [],
+        indexes: []
+      };
+    }
+    this._checkFanOut(mapper, queries, opts);
+
+    const limit = queries.length > 1 && +query.limit ? (+query.skip || 0) + (+query.limit) : 0;
+    const kind = this.getKind(mapper, opts);
+    const indexes = {};
+    const dsQueries = queries.map((_query) => {
+      if (queries.length > 1) {
+        _query = this._getSubQuery(_query, limit);
+      }
+      _query.select = select;
+      const index = getCompositeIndex(kind, _query);
+      if (index) {
+        indexes[JSON.stringify(index)] = index;
+      }
+      return this._createDatastoreQuery(mapper, _query, opts, select);
+    });
+    return {
+      queries: dsQueries,
+      indexes: Object.keys(indexes).map((key) => indexes[key])
+    };
+  },
+
+  /**
+   * Apply the specified selection query to the provided Datastore query.
+   * Operands are encoded like the values of the records of the specified
+   * Mapper, see {@link CloudDatastoreAdapter#encodeRecord}. The query is
+   * checked first if {@link CloudDatastoreAdapter#validateQueries} is
+   * enabled.
+   *
+   * Properties of embedded entities are filtered and sorted by their dot
+   * path, e.g. `'address.city'`, also within arrays of embedded entities,
+   * e.g. `'comments.author'`. An array property matches a filter if any of
+   * its values does, and is sorted by its smallest value in ascending order
+   * and by its largest value in descending order.
+   *
+   * @example
+   * adapter.findAll(User, {
+   *   where: {
+   *     'address.city': { '==': 'Paris' },
+   *     tags: { 'containsAny': ['admin', 'editor'] }
+   *   },
+   *   orderBy: [['address.zipCode', 'asc']]
+   * })
+   *
+   * @method CloudDatastoreAdapter#filterQuery
+   * @param {object} dsQuery Datastore query.
+   * @param {object} [query] Selection query.
+   * @param {object} [query.where] Filtering criteria.
+   * @param {string|Array} [query.orderBy] Sorting criteria.
+   * @param {string|Array} [query.sort] Same as `query.sort`.
+   * @param {number} [query.limit] Limit results.
+   * @param {number} [query.skip] Offset results.
+   * @param {number} [query.offset] Same as `query.skip`.
+   * @param {object} [query.hasAncestor] Datastore key of an ancestor of the
+   * selected records. Ancestor queries are strongly consistent.
+   * @param {(string|string[])} [query.select] Properties to project.
+   * @param {object} [opts] Configuration options.
+   * @param {object} [opts.operators] Override the default predicate functions
+   * for specified operators.
+   * @param {boolean} [opts.recordQueries] See
+   * {@link CloudDatastoreAdapter#recordQueries}.
+   * @param {boolean} [opts.validateQueries] See
+   * {@link CloudDatastoreAdapter#validateQueries}.
+   * @param {string} [opts.startCursor] Cursor from which to start the query,
+   * as returned in the `endCursor` of a previous query.
+   * @param {string} [opts.endCursor] Cursor at which to end the query.
+   * @param {object} [mapper] The mapper.
+   */
+  filterQuery (dsQuery, query, opts, mapper) {
+    query = normalizeQuery(query);
+    opts || (opts = {});
+    opts.operators || (opts.operators = {});
+
+    if (this.getOpt('validateQueries', opts)) {
+      this._validateQuery(mapper, query, opts, dsQuery.kinds[0]);
+    }
+    if (this.getOpt('recordQueries', opts)) {
+      const index = getCompositeIndex(dsQuery.kinds[0], query);
+      if (index) {
+        addIndex(this.recordedIndexes, index);
+      }
+    }
+
+    // Apply filter
+    if (Object.keys(query.where).length !== 0) {
+      utils.forOwn(query.where, (criteria, field) => {
+        utils.forOwn(criteria, (value, operator) => {
+          let isOr = false;
+          let _operator = operator;
+          if (_operator && _operator[0] === '|') {
+            _operator = _operator.substr(1);
+            isOr = true;
+          }
+          const predicateFn = this.getOperator(_operator, opts);
+          if (predicateFn) {
+            if (isOr) {
+              throw new InvalidQueryError(`Operator ${operator} requires more than one Datastore query, see CloudDatastoreAdapter#expandQuery!`, this._getErrorProps(mapper, opts));
+            } else {
+              try {
+                dsQuery = predicateFn(dsQuery, field, mapper ? this._encodeOperand(mapper, field, value, opts) : value);
+              } catch (err) {
+                if (err instanceof CloudDatastoreError) {
+                  utils.fillIn(err, this._getErrorProps(mapper, opts));
+                }
+                throw err;
+              }
+            }
+          } else {
+            throw new InvalidQueryError(`Operator ${operator} not supported!`, this._getErrorProps(mapper, opts));
+          }
+        });
+      });
+    }
+
+    // Apply ancestor
+    if (query.hasAncestor) {
+      dsQuery = dsQuery.hasAncestor(query.hasAncestor);
+    }
+
+    // Apply sort
+    if (query.orderBy) {
+      query.orderBy.forEach((clause) => {
+        dsQuery = clause[1].toUpperCase() === 'DESC' ? dsQuery.order(clause[0], { descending: true }) : dsQuery.order(clause[0]);
+      });
+    }
+
+    // Apply skip/offset
+    if (query.skip) {
+      dsQuery = dsQuery.offset(+query.skip);
+    }
+
+    // Apply limit
+    if (query.limit) {
+      dsQuery = dsQuery.limit(+query.limit);
+    }
+
+    // Apply projection
+    if (query.select) {
+      dsQuery = dsQuery.select(query.select);
+    }
+
+    // Apply cursors
+    if (!utils.isUndefined(opts.startCursor)) {
+      dsQuery = dsQuery.start(opts.startCursor);
+    }
+    if (!utils.isUndefined(opts.endCursor)) {
+      dsQuery = dsQuery.end(opts.endCursor);
+    }
+
+    return dsQuery;
+  },
+
+  /**
+   * Retrieve the records that match the selection query as an async iterator,
+   * e.g. for use with `for await...of`. Built on
+   * {@link CloudDatastoreAdapter#findAllStream}, so records are only retrieved
+   * from Datastore as fast as they are consumed.
+   *
+   * @example
+   * for await (const user of adapter.findAllIterator(User, { status: 'active' })) {
+   *   await sendNewsletter(user)
+   * }
+   *
+   * @method CloudDatastoreAdapter#findAllIterator
+   * @param {object} mapper The mapper.
+   * @param {object} [query] Selection query.
+   * @param {object} [opts] Configuration options.
+   * @return {object} Async iterator of the records.
+   */
+  findAllIterator (mapper, query, opts) {
+    const stream = this.findAllStream(mapper, query, opts);
+    let ended = false;
+    let error;
+    stream.on('end', () => {
+      ended = true;
+    });
+    stream.on('error', (err) => {
+      error = err;
+    });
+
+    const iterator = {
+      next () {
+        return new utils.Promise((resolve, reject) => {
+          const read = () => {
+            let record = null;
+            if (!error && !ended) {
+              record = stream.read();
+              if (record === null) {
+                return;
+              }
+            }
+            stream.removeListener('readable', read);
+            stream.removeListener('end', read);
+            stream.removeListener('error', read);
+            if (error) {
+              reject(error);
+            } else {
+              resolve({ value: record === null ? undefined : record, done: record === null });
+            }
+          };
+          stream.on('readable', read);
+          stream.on('end', read);
+          stream.on('error', read);
+          read();
+        });
+      },
+      return () {
+        // Stop retrieving records when the consumer exits early
+        ended = true;
+        if (utils.isFunction(stream.destroy)) {
+          stream.destroy();
+        }
+        return utils.resolve({ value: undefined, done: true });
+      }
+    };
+    iterator[ASYNC_ITERATOR] = () => iterator;
+    return iterator;
+  },
+
+  /**
+   * Retrieve the records that match the selection query as a readable object
+   * stream. Records are retrieved from Datastore as the stream is consumed,
+   * so large result sets don't have to fit in memory. Lifecycle hooks are not
+   * called and relations are not loaded.
+   *
+   * @example
+   * adapter.findAllStream(User, { status: 'active' })
+   *   .on('data', (user) => console.log(user.name))
+   *   .on('end', () => console.log('done'))
+   *
+   * @method CloudDatastoreAdapter#findAllStream
+   * @param {object} mapper The mapper.
+   * @param {object} [query] Selection query.
+   * @param {object} [opts] Configuration options.
+   * @return {stream.Readable} Object stream of the records.
+   */
+  findAllStream (mapper, query, opts) {
+    const entities = this._runQueryStream(mapper, query, opts);
+    const records = new Transform({
+      objectMode: true,
+      transform: (entity, encoding, next) => {
+        next(null, this.decodeRecord(mapper, entity.data, opts));
+      }
+    });
+    entities.on('error', (err) => records.emit('error', err));
+    return entities.pipe(records);
+  },
+
+  /**
+   * Add the number of retries made by the call, see
+   * {@link CloudDatastoreAdapter#retry}, to its response metadata, then
+   * respond like {@link Adapter#respond}.
+   *
+   * @method CloudDatastoreAdapter#respond
+   * @param {Object} response Response object.
+   * @param {Object} opts Configuration options.
+   * @return {Object} If `opts.raw == true` then return `response`, else return
+   * `response.data`.
+   */
+  respond (response, opts) {
+    if (opts && opts.operation) {
+      response.retries = opts.operation.retries;
+    }
+    return Adapter.prototype.respond.call(this, response, opts);
+  },
+
+  /**
+   * Run `fn` in a Datastore transaction. Pass the transaction to the methods
+   * of this adapter as `opts.transaction` to read and write within it. Writes
+   * are applied when the transaction is committed, once the promise returned
+   * by `fn` resolves. The transaction is rolled back if `fn` throws or
+   * rejects. If the transaction fails with an error that
+   * {@link CloudDatastoreAdapter#retry} allows to retry, e.g. if the commit is
+   * aborted because of contention, `fn` is run again in a new transaction.
+   *
+   * @example
+   * adapter.transaction((transaction) => {
+   *   const opts = { transaction }
+   *   return Promise.all([
+   *     adapter.find(Account, fromId, opts),
+   *     adapter.find(Account, toId, opts)
+   *   ]).then(([from, to]) => {
+   *     return Promise.all([
+   *       adapter.update(Account, fromId, { balance: from.balance - amount }, opts),
+   *       adapter.update(Account, toId, { balance: to.balance + amount }, opts)
+   *     ])
+   *   })
+   * })
+   *
+   * @method CloudDatastoreAdapter#transaction
+   * @param {function} fn Called with the transaction. May return a promise.
+   * @param {object} [opts] Configuration options.
+   * @param {object} [opts.transaction] Transaction in which to run `fn`
+   * instead of a new one. It is left to its owner to commit it.
+   * @param {object} [opts.retry] See {@link CloudDatastoreAdapter#retry}.
+   * @return {Promise} Resolves with the value returned by `fn` once the
+   * transaction is committed.
+   */
+  transaction (fn, opts) {
+    opts || (opts = {});
+    if (opts.transaction) {
+      return utils.resolve().then(() => fn(opts.transaction));
+    }
+
+    return this._retry(() => {
+      const transaction = this.datastore.transaction();
+      return new utils.Promise((resolve, reject) => {
+        transaction.run((err) => err ? reject(err) : resolve());
+      }).then(() => {
+        return utils.resolve().then(() => fn(transaction)).catch((err) => {
+          return new utils.Promise((resolve) => {
+            // The original error matters more than a failed rollback
+            transaction.rollback(() => resolve());
+          }).then(() => {
+            throw err;
+          });
+        });
+      }).then((result) => {
+        return new utils.Promise((resolve, reject) => {
+          transaction.commit((err) => err ? reject(err) : resolve(result));
+        });
+      });
+    }, opts);
+  },
+
+  /**
+   * Save a record without reading it first: the record is created if its
+   * primary key doesn't exist yet, otherwise it replaces the stored record,
+   * properties missing from `props` included. An id is allocated if the
+   * record has no primary key.
+   *
+   * If the Mapper has a `versionAttribute`, the record is read and written in
+   * a transaction instead, which checks and increments its version like
+   * {@link CloudDatastoreAdapter#_update}, see {@link ConflictError}.
+   *
+   * @method CloudDatastoreAdapter#upsert
+   * @param {object} mapper The mapper.
+   * @param {object} props The record to save.
+   * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.raw=false] Whether to return a more detailed
+   * response object.
+   * @return {Promise}
+   */
+  upsert (mapper, props, opts) {
+    let op;
+    props || (props = {});
+    opts || (opts = {});
+
+    // beforeUpsert lifecycle hook
+    op = opts.op = 'beforeUpsert';
+    return utils.resolve(this[op](mapper, props, opts)).then((_props) => {
+      // Allow for re-assignment from lifecycle hook
+      props = _props === undefined ? props : _props;
+      props = withoutRelations(mapper, props, opts);
+      op = opts.op = 'upsert';
+      this.dbg(op, mapper, props, opts);
+      return utils.resolve(this._upsert(mapper, props, opts));
+    }).then((results) => {
+      let [data, result] = results;
+      result || (result = {});
+      let response = new Response(data, result, 'upsert');
+      response = this.respond(response, opts);
+
+      // afterUpsert lifecycle hook
+      op = opts.op = 'afterUpsert';
+      return utils.resolve(this[op](mapper, props, opts, response)).then((_response) => _response === undefined ? response : _response);
+    });
+  },
+
+  /**
+   * Save multiple records in a single batch, see
+   * {@link CloudDatastoreAdapter#upsert}.
+   *
+   * @method CloudDatastoreAdapter#upsertMany
+   * @param {object} mapper The mapper.
+   * @param {Object[]} props The records to save.
+   * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.raw=false] Whether to return a more detailed
+   * response object.
+   * @return {Promise}
+   */
+  upsertMany (mapper, props, opts) {
+    let op;
+    props || (props = []);
+    opts || (opts = {});
+
+    // beforeUpsertMany lifecycle hook
+    op = opts.op = 'beforeUpsertMany';
+    return utils.resolve(this[op](mapper, props, opts)).then((_props) => {
+      // Allow for re-assignment from lifecycle hook
+      props = _props === undefined ? props : _props;
+      props = props.map((record) => withoutRelations(mapper, record, opts));
+      op = opts.op = 'upsertMany';
+      this.dbg(op, mapper, props, opts);
+      return utils.resolve(this._upsertMany(mapper, props, opts));
+    }).then((results) => {
+      let [data, result] = results;
+      data || (data = []);
+      result || (result = {});
+      let response = new Response(data, result, 'upsertMany');
+      response = this.respond(response, opts);
+
+      // afterUpsertMany lifecycle hook
+      op = opts.op = 'afterUpsertMany';
+      return utils.resolve(this[op](mapper, props, opts, response)).then((_response) => _response === undefined ? response : _response);
+    });
+  },
+
+  /**
+   * Retrieve the average of the specified field of the records that match the
+   * selection query, with an aggregation query if possible, see
+   * {@link CloudDatastoreAdapter#_aggregate}. Otherwise the average is
+   * computed from the matching records. Internal method used by
+   * CloudDatastoreAdapter#avg.
+   *
+   * @method CloudDatastoreAdapter#_avg
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {string} field The field to average.
+   * @param {object} [query] Selection query.
+   * @param {object} [opts] Configuration options.
+   * @return {Promise}
+   */
+  _avg (mapper, field, query, opts) {
+    if (!utils.isString(field)) {
+      throw new Error('field must be a string!');
+    }
+    opts = this._startOperation(mapper, opts);
+    query || (query = {});
+
+    return this._aggregate(mapper, query, opts, 'average', field).then((avg) => {
+      if (!utils.isUndefined(avg)) {
+        return [avg, {}];
+      }
+      const canSelect = !Object.keys(query).length;
+      return this._runQuery(mapper, query, opts, canSelect ? field : undefined).then((result) => {
+        const values = result[0].map((entity) => entity.data[field]).filter((value) => utils.isNumber(value));
+        const sum = values.reduce((sum, value) => sum + value, 0);
+        return [values.length ? sum / values.length : null, {}];
+      });
+    });
+  },
+
+  /**
+   * Start tracking the call with the given options, so that its errors
+   * identify the Mapper, see {@link CloudDatastoreAdapter#_wrapError}, and
+   * {@link CloudDatastoreAdapter#respond} can add its number of retries to
+   * the response metadata.
+   *
+   * @method CloudDatastoreAdapter#_startOperation
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {object} [opts] Configuration options.
+   * @return {object} The options.
+   */
+  _startOperation (mapper, opts) {
+    opts || (opts = {});
+    opts.operation = { mapper, retries: 0 };
+    return opts;
+  },
+
+  /**
+   * Count the records that match the selection query, with an aggregation
+   * query if possible, see {@link CloudDatastoreAdapter#_aggregate}.
+   * Otherwise the keys of the matching records are counted. Internal method
+   * used by Adapter#count.
+   *
+   * @method CloudDatastoreAdapter#_count
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {object} [query] Selection query.
+   * @param {object} [opts] Configuration options.
+   * @return {Promise}
+   */
+  _count (mapper, query, opts) {
+    opts = this._startOperation(mapper, opts);
+    query || (query = {});
+
+    return this._aggregate(mapper, query, opts, 'count').then((count) => {
+      if (!utils.isUndefined(count)) {
+        return [count, {}];
+      }
+      return this._runQuery(mapper, query, opts, '__key__').then((result) => {
+        return [result[0].length, {}];
+      });
+    });
+  },
+
+  /**
+   * Compute an aggregate of the records that match the selection query with
+   * a Datastore aggregation query, so that the records aren't downloaded.
+   *
+   * Aggregation queries require a Datastore client with
+   * `createAggregationQuery` and `runAggregationQuery` methods, which
+   * `@google-cloud/datastore` 1.x lacks: with that client this method always
+   * resolves with `undefined`, and count, sum and avg query the matching
+   * records instead.
+   *
+   * @method CloudDatastoreAdapter#_aggregate
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {object} [query] Selection query.
+   * @param {object} [opts] Configuration options.
+   * @param {string} method The aggregation: `count`, `sum` or `average`.
+   * @param {string} [field] The field to aggregate.
+   * @return {Promise} Resolves with the aggregate, or `undefined` if the
+   * Datastore client or backend doesn't support the aggregation, or the
+   * selection query requires more than a single Datastore query, is skipped,
+   * limited, uses cursors or has "like" patterns that are matched
+   * client-side, see {@link CloudDatastoreAdapter#likeScanLimit}.
+   */
+  _aggregate (mapper, query, opts, method, field) {
+    opts || (opts = {});
+    const client = this.getClient(opts);
+    if (!utils.isFunction(client.createAggregationQuery) || !utils.isFunction(client.runAggregationQuery)) {
+      return utils.resolve();
+    }
+    const queries = this.expandQuery(query, opts);
+    const usesCursor = !utils.isUndefined(opts.startCursor) || !utils.isUndefined(opts.endCursor);
+    if (queries.length !== 1 || queries[0].skip || queries[0].limit || usesCursor) {
+      return utils.resolve();
+    }
+    // "Like" patterns matched client-side require the entities
+    if (this.getOpt('likeScanLimit', opts) && takeScannedLikes(queries[0]).length) {
+      return utils.resolve();
+    }
+    const aggregationQuery = client.createAggregationQuery(this._createDatastoreQuery(mapper, queries[0], opts));
+    if (!utils.isFunction(aggregationQuery[method])) {
+      return utils.resolve();
+    }
+
+    const args = field ? [field, 'value'] : ['value'];
+    const dsQuery = aggregationQuery[method].apply(aggregationQuery, args);
+    return this._retry(() => {
+      return new utils.Promise((resolve, reject) => {
+        client.runAggregationQuery(dsQuery, (err, results) => {
+          if (err) {
+            return err.code === UNIMPLEMENTED ? resolve() : reject(err);
+          }
+          const value = results && results[0] ? results[0].value : undefined;
+          return resolve(utils.isUndefined(value) ? null : value);
+        });
+      });
+    }, opts, { isQuery: true });
+  },
+
+  /**
+   * Build the keys of the given records of the specified Mapper. Records that
+   * have a primary key are stored under that key, see
+   * {@link CloudDatastoreAdapter#getKeyId}. Ids are allocated for the other
+   * records, and assigned to them as numbers, although the client returns
+   * them as strings.
+   *
+   * @method CloudDatastoreAdapter#_allocateKeys
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {Object[]} records The records.
+   * @param {object} [opts] Configuration options.
+   * @return {Promise} Resolves with the keys of the records.
+   */
+  _allocateKeys (mapper, records, opts) {
+    const idAttribute = mapper.idAttribute;
+
+    // Ids are allocated separately for the records of each ancestor
+    const keys = [];
+    const groups = {};
+    records.forEach((record, i) => {
+      const id = utils.get(record, idAttribute);
+      if (!utils.isUndefined(id) && id !== null) {
+        utils.set(record, idAttribute, this.getKeyId(mapper, id));
+        keys[i] = this.getKey(mapper, id, opts, record);
+        return;
+      }
+      if (mapper.idType === 'string') {
+        throw new InvalidRecordError(`${mapper.name} records must have a ${idAttribute}!`, this._getErrorProps(mapper, opts));
+      }
+      const incompleteKey = this.getKey(mapper, undefined, opts, record);
+      const group = keyToString(incompleteKey);
+      groups[group] || (groups[group] = { incompleteKey, indexes: [] });
+      groups[group].indexes.push(i);
+    });
+
+    return utils.Promise.all(Object.keys(groups).map((group) => {
+      const { incompleteKey, indexes } = groups[group];
+      return this._retry(() => {
+        return new utils.Promise((resolve, reject) => {
+          this.datastore.allocateIds(incompleteKey, indexes.length, (err, _keys) => {
+            return err ? reject(err) : resolve(_keys);
+          });
+        });
+      }, opts).then((_keys) => {
+        indexes.forEach((index, i) => {
+          keys[index] = _keys[i];
+          utils.set(records[index], idAttribute, getRecordId(_keys[i]));
+        });
+      });
+    })).then(() => keys);
+  },
+
+  /**
+   * Internal method used by CloudDatastoreAdapter#_create and
+   * CloudDatastoreAdapter#_createMany.
+   *
+   * Records that have a primary key are stored under that key, see
+   * {@link CloudDatastoreAdapter#getKeyId}, and the creation fails if any of
+   * them already exists. Ids are allocated for the other records. The records
+   * are created in transactions of at most 25 records each, see
+   * {@link CloudDatastoreAdapter#_createChunk}.
+   *
+   * @method CloudDatastoreAdapter#_createHelper
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {(Object|Object[])} records The record or records to be created.
+   * @param {object} [opts] Configuration options.
+   * @return {Promise}
+   */
+  _createHelper (mapper, records, opts) {
+    opts = this._startOperation(mapper, opts);
+    const singular = !utils.isArray(records);
+    if (singular) {
+      records = [records];
+    }
+    records = utils.plainCopy(records);
+    if (mapper.versionAttribute) {
+      records.forEach((record) => {
+        if (utils.isUndefined(utils.get(record, mapper.versionAttribute))) {
+          utils.set(record, mapper.versionAttribute, 1);
+        }
+      });
+    }
+
+    const size = Math.min(this._getBatchSize(opts), MAX_TRANSACTION_SIZE);
+    return this._writeInChunks(mapper, records, size, (_records) => {
+      return this._createChunk(mapper, _records, opts);
+    }, opts).then((result) => {
+      const [_records, apiResponse] = result;
+      apiResponse.created = _records.length;
+      return [singular ? _records[0] : _records, apiResponse];
+    });
+  },
+
+  /**
+   * Create a chunk of records in a transaction. Internal method used by
+   * CloudDatastoreAdapter#_createHelper.
+   *
+   * @method CloudDatastoreAdapter#_createChunk
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {Object[]} records The records to be created.
+   * @param {object} [opts] Configuration options.
+   * @return {Promise}
+   */
+  _createChunk (mapper, records, opts) {
+    const hasIds = records.map((record) => {
+      const id = utils.get(record, mapper.idAttribute);
+      return !utils.isUndefined(id) && id !== null;
+    });
+
+    return this._allocateKeys(mapper, records, opts).then((keys) => {
+      const givenKeys = keys.filter((key, i) => hasIds[i]);
+      return this.transaction((transaction) => {
+        const _opts = { transaction };
+        utils.fillIn(_opts, opts);
+        return this._lookup(givenKeys, _opts).then((existing) => {
+          const seen = {};
+          const conflicts = givenKeys.filter((key) => {
+            const id = keyToString(key);
+            const isDuplicate = seen[id];
+            seen[id] = true;
+            return isDuplicate;
+          }).concat(existing.map((entity) => entity.key));
+          if (conflicts.length) {
+            const ids = uniqueValues(conflicts.map(getRecordId));
+            throw new AlreadyExistsError(`${mapper.name} ${ids.join(', ')} already exists!`, this._getErrorProps(mapper, opts, conflicts[0]));
+          }
+          // Save records, once the transaction is committed
+          transaction.save(records.map((record, i) => this.toEntity(mapper, keys[i], record, 'insert', opts)));
+          return [records, {}];
+        });
+      }, opts);
+    });
+  },
+
+  /**
+   * Create a new record. Internal method used by Adapter#create.
+   *
+   * @method CloudDatastoreAdapter#_create
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {object} props The record to be created.
+   * @param {object} [opts] Configuration options.
+   * @return {Promise}
+   */
+  _create (mapper, props, opts) {
+    return this._createHelper(mapper, props, opts);
+  },
+
+  /**
+   * Create multiple records in a single batch. Internal method used by
+   * Adapter#createMany.
+   *
+   * @method CloudDatastoreAdapter#_createMany
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {object} props The records to be created.
+   * @param {object} [opts] Configuration options.
+   * @return {Promise}
+   */
+  _createMany (mapper, props, opts) {
+    return this._createHelper(mapper, props, opts);
+  },
+
+  /**
+   * Delete the entities with the given keys, or mark them for deletion if
+   * `opts.transaction` is given.
+   *
+   * @method CloudDatastoreAdapter#_delete
+   * @private
+   * @param {(Object|Object[])} keys The keys of the entities.
+   * @param {object} [opts] Configuration options.
+   * @param {object} [opts.transaction] See {@link CloudDatastoreAdapter#transaction}.
+   * @return {Promise} Resolves with the API response.
+   */
+  _delete (keys, opts) {
+    opts || (opts = {});
+    keys = utils.isArray(keys) ? keys : [keys];
+    if (opts.transaction) {
+      opts.transaction.delete(keys);
+      return utils.resolve({});
+    }
+    return this._retry(() => {
+      return new utils.Promise((resolve, reject) => {
+        this.datastore.delete(keys, (err, apiResponse) => {
+          return err ? reject(err) : resolve(apiResponse);
+        });
+      });
+    }, opts, { key: keys.length === 1 ? keys[0] : undefined });
+  },
+
+  /**
+   * Destroy the record with the given primary key. Internal method used by
+   * Adapter#destroy.
+   *
+   * @method CloudDatastoreAdapter#_destroy
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {(string|number)} id Primary key of the record to destroy.
+   * @param {object} [opts] Configuration options.
+   * @return {Promise}
+   */
+  _destroy (mapper, id, opts) {
+    opts = this._startOperation(mapper, opts);
+    const key = this._hasKnownKey(mapper, undefined, opts) ? utils.resolve(this.getKey(mapper, id, opts)) : this._getEntity(mapper, id, opts).then((entity) => entity && entity.key);
+    return key.then((key) => {
+      return key ? this._delete(key, opts) : {};
+    }).then((apiResponse) => [undefined, apiResponse]);
+  },
+
+  /**
+   * Destroy the records that match the selection query, in chunks of
+   * {@link CloudDatastoreAdapter#batchSize} records. Internal method used by
+   * Adapter#destroyAll.
+   *
+   * @method CloudDatastoreAdapter#_destroyAll
+   * @private
+   * @param {object} mapper the mapper.
+   * @param {object} [query] Selection query.
+   * @return {Promise}
+   */
+  _destroyAll (mapper, query, opts) {
+    opts = this._startOperation(mapper, opts);
+    const stream = this._runQueryStream(mapper, query, opts, '__key__');
+    return consumeInBatches(stream, this._getBatchSize(opts), (entities) => {
+      const keys = entities.map((entity) => entity.key);
+      const getIds = () => keys.map(getRecordId);
+      return this._runChunk(getIds, () => {
+        return this._delete(keys, opts).then((apiResponse) => [[], apiResponse]);
+      }, opts);
+    }, this.getOpt('batchConcurrency', opts)).then((results) => this._mergeChunkResults(mapper, results, opts)).then((result) => [undefined, result[1]]);
+  },
+
+  /**
+   * Encode the operand of a filter on the given property like the value of
+   * the property would be saved, see
+   * {@link CloudDatastoreAdapter#encodeRecord}.
+   *
+   * @method CloudDatastoreAdapter#_encodeOperand
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {string} field The filtered property.
+   * @param {*} value The operand.
+   * @param {object} [opts] Configuration options.
+   * @return {*} The encoded operand.
+   */
+  _encodeOperand (mapper, field, value, opts) {
+    const record = {};
+    utils.set(record, field, value);
+    return utils.get(this.encodeRecord(mapper, record, opts), field);
+  },
+
+  /**
+   * Retrieve the record with the given primary key. Internal method used by
+   * Adapter#find.
+   *
+   * @method CloudDatastoreAdapter#_find
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {(string|number)} id Primary key of the record to retrieve.
+   * @param {object} [opts] Configuration options.
+   * @return {Promise}
+   */
+  _find (mapper, id, opts) {
+    opts = this._startOperation(mapper, opts);
+    return this._getEntity(mapper, id, opts).then((entity) => {
+      return [entity ? this.decodeRecord(mapper, entity.data, opts) : undefined, {}];
+    });
+  },
+
+  /**
+   * Retrieve the records that match the selection query. Internal method used
+   * by Adapter#findAll.
+   *
+   * The metadata of the response includes the `endCursor` and `moreResults`
+   * of the Datastore query, so that the next page can be retrieved by passing
+   * the `endCursor` as `opts.startCursor`. Cursors are not supported for
+   * queries that fan out into more than one Datastore query.
+   *
+   * @method CloudDatastoreAdapter#_findAll
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {object} [query] Selection query.
+   * @param {(string|string[])} [query.select] Fields to retrieve, see
+   * {@link CloudDatastoreAdapter#_findAllProjected}. All fields by default.
+   * @param {object} [opts] Configuration options.
+   * @param {(string|string[])} [opts.fields] Same as `query.select`.
+   * @param {string} [opts.startCursor] Cursor from which to start the query.
+   * @param {string} [opts.endCursor] Cursor at which to end the query.
+   * @return {Promise}
+   */
+  _findAll (mapper, query, opts) {
+    opts = this._startOperation(mapper, opts);
+    const fields = query && !utils.isUndefined(query.select) ? query.select : opts.fields;
+    if (utils.isUndefined(fields)) {
+      return this._runQuery(mapper, query, opts).then((result) => {
+        const [entities, meta] = result;
+        return [entities.map((entity) => this.decodeRecord(mapper, entity.data, opts)), meta];
+      });
+    }
+    return this._findAllProjected(mapper, query, opts, utils.isArray(fields) ? fields : [fields]);
+  },
+
+  /**
+   * Retrieve the specified fields of the records that match the selection
+   * query with a projection query. Internal method used by
+   * CloudDatastoreAdapter#_findAll.
+   *
+   * The primary key is always retrieved, from the keys of the entities. The
+   * fields the query is sorted by are also projected, as Datastore requires,
+   * but left out of the records. Datastore returns one result per value of a
+   * projected array property, so the results are combined by key, and the
+   * values of a field become an array if they differ or if the Mapper's
+   * schema declares the field as an array. Limits count results before they
+   * are combined.
+   *
+   * Datastore can only project indexed properties, and cannot project a
+   * property that has an equality filter.
+   *
+   * @method CloudDatastoreAdapter#_findAllProjected
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {object} [query] Selection query.
+   * @param {object} [opts] Configuration options.
+   * @param {string[]} fields The fields to retrieve.
+   * @return {Promise}
+   */
+  _findAllProjected (mapper, query, opts, fields) {
+    const idAttribute = mapper.idAttribute;
+    fields = uniqueValues(fields).filter((field) => field !== idAttribute);
+    const select = getProjection(mapper, query, fields);
+
+    [].concat(select).forEach((field) => {
+      if (field !== '__key__' && !isIndexed(mapper, field)) {
+        throw new InvalidQueryError(`Cannot project ${field} of ${mapper.name}, it is excluded from indexes!`, this._getErrorProps(mapper, opts));
+      }
+    });
+    this.expandQuery(query, opts).forEach((_query) => {
+      utils.forOwn(_query.where, (criteria, field) => {
+        const hasEquality = Object.keys(criteria).some((operator) => EQUALITY_OPERATORS.indexOf(operator) !== -1 || operator === 'contains');
+        if (hasEquality && fields.indexOf(field) !== -1) {
+          throw new InvalidQueryError(`Cannot project ${field} of ${mapper.name}, it has an equality filter!`, this._getErrorProps(mapper, opts));
+        }
+      });
+    });
+
+    return this._runQuery(mapper, query, opts, select).then((result) => {
+      const [entities, meta] = result;
+      const types = getValueTypes(this.datastore);
+      const schema = getDecodingSchema(mapper);
+      // Combine the results of each entity
+      const records = {};
+      const values = {};
+      const ids = [];
+      entities.forEach((entity) => {
+        const id = keyToString(entity.key);
+        if (!records[id]) {
+          records[id] = {};
+          values[id] = {};
+          ids.push(id);
+          utils.set(records[id], idAttribute, getRecordId(entity.key));
+        }
+        fields.forEach((field) => {
+          const value = decodeValue(types, getPropertySchema({ schema }, field), utils.get(entity.data, field));
+          if (!utils.isUndefined(value)) {
+            values[id][field] = uniqueValues((values[id][field] || []).concat(utils.isArray(value) ? value : [value]));
+          }
+        });
+      });
+      return [ids.map((id) => {
+        const record = records[id];
+        utils.forOwn(values[id], (_values, field) => {
+          const schema = getPropertySchema(mapper, field);
+          const isArray = (schema && schema.type === 'array') || _values.length > 1;
+          utils.set(record, field, isArray ? _values : _values[0]);
+        });
+        return record;
+      }), meta];
+    });
+  },
+
+  /**
+   * Return the key and data of an entity read by the Datastore client, which
+   * returns the entity's data with its key under `datastore.KEY`.
+   *
+   * @method CloudDatastoreAdapter#_readEntity
+   * @private
+   * @param {object} entity The entity.
+   * @return {object} The entity's `key` and `data`.
+   */
+  _readEntity (entity) {
+    return { key: entity[this.datastore.KEY], data: entity };
+  },
 
-  // Setup non-enumerable properties
-  Object.defineProperties(this, {
-    /**
-     * Instance of Datastore used by this adapter. Use this directly when
-     * you need to write custom queries.
-     *
-     * @name CloudDatastoreAdapter#datastore
-     * @type {object}
-     */
-    datastore: {
-      writable: true,
-      value: undefined
+  /**
+   * Retrieve the entities with the given keys in batched lookups of at most
+   * 1000 keys each, at most `batchConcurrency` at a time, see
+   * {@link CloudDatastoreAdapter#batchConcurrency}.
+   *
+   * @method CloudDatastoreAdapter#_lookup
+   * @private
+   * @param {Object[]} keys The keys of the entities.
+   * @param {object} [opts] Configuration options.
+   * @param {object} [opts.transaction] See {@link CloudDatastoreAdapter#transaction}.
+   * @return {Promise} Resolves with the entities that were found.
+   */
+  _lookup (keys, opts) {
+    if (!keys.length) {
+      return utils.resolve([]);
     }
-  });
+    return mapInChunks(keys, MAX_LOOKUP_SIZE, (_keys) => {
+      return this._retry(() => {
+        return new utils.Promise((resolve, reject) => {
+          this.getClient(opts).get(_keys, (err, entities) => {
+            return err ? reject(err) : resolve((entities || []).filter((entity) => entity).map((entity) => this._readEntity(entity)));
+          });
+        });
+      }, opts, { key: keys.length === 1 ? keys[0] : undefined });
+    }, this.getOpt('batchConcurrency', opts)).then((results) => {
+      return results.reduce((entities, _entities) => entities.concat(_entities), []);
+    });
+  },
 
-  Adapter.call(this, opts);
+  /**
+   * Retrieve the entity with the given primary key. If the ancestors of the
+   * entity cannot be determined from `record` or `opts.parentKey`, the entity
+   * is looked up with an eventually consistent query on its primary key
+   * instead.
+   *
+   * @method CloudDatastoreAdapter#_getEntity
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {(string|number)} id Primary key of the entity to retrieve.
+   * @param {object} [opts] Configuration options.
+   * @param {object} [record] Record holding the foreign keys of the
+   * entity's ancestors.
+   * @return {Promise} Resolves with the entity, if it was found.
+   */
+  _getEntity (mapper, id, opts, record) {
+    if (!this._hasKnownKey(mapper, record, opts)) {
+      const query = {
+        where: {
+          [mapper.idAttribute]: {
+            '==': this.getKeyId(mapper, id)
+          }
+        },
+        limit: 1
+      };
+      // Queries in a transaction must have an ancestor, so only the entity
+      // found by the query is read in the transaction
+      return this._runDatastoreQuery(mapper, query, utils.omit(opts || {}, ['transaction'])).then((result) => {
+        const entity = result[0][0];
+        return entity && opts && opts.transaction ? this._lookup([entity.key], opts).then((entities) => entities[0]) : entity;
+      });
+    }
+    return this._lookup([this.getKey(mapper, id, opts, record)], opts).then((entities) => entities[0]);
+  },
 
   /**
-   * Options to be passed to a new Datastore instance, if one wasn't provided.
+   * Retrieve the entities with the given primary keys in batched lookups, see
+   * {@link CloudDatastoreAdapter#_lookup}.
    *
-   * @name CloudDatastoreAdapter#datastoreOpts
-   * @type {object}
-   * @default {}
-   * @property {string} projectId Google Cloud Platform project id.
+   * @method CloudDatastoreAdapter#_getEntities
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {Array} ids Primary keys of the entities to retrieve.
+   * @param {object} [opts] Configuration options.
+   * @return {Promise} Resolves with the entities that were found.
    */
-  this.datastoreOpts || (this.datastoreOpts = {});
-  utils.fillIn(this.datastoreOpts, DATASTORE_DEFAULTS);
+  _getEntities (mapper, ids, opts) {
+    return this._lookup(ids.map((id) => this.getKey(mapper, id, opts)), opts);
+  },
 
   /**
-   * Override the default predicate functions for the specified operators.
+   * Resolve the number of records written or deleted per Datastore request,
+   * see {@link CloudDatastoreAdapter#batchSize}.
    *
-   * @name CloudDatastoreAdapter#operators
-   * @type {object}
-   * @default {}
+   * @method CloudDatastoreAdapter#_getBatchSize
+   * @private
+   * @param {object} [opts] Configuration options.
+   * @param {number} [opts.batchSize] Overrides the adapter's batch size.
+   * @return {number}
    */
-  this.operators || (this.operators = {});
-  utils.fillIn(this.operators, OPERATORS);
+  _getBatchSize (opts) {
+    return Math.min(this.getOpt('batchSize', opts) || MAX_BATCH_SIZE, MAX_BATCH_SIZE);
+  },
 
-  this.datastore || (this.datastore = Datastore(this.datastoreOpts));
-}
+  /**
+   * Return the primary keys of the records selected by the given selection
+   * query, if they can be looked up by key instead of queried, see
+   * {@link CloudDatastoreAdapter#_runQuery}.
+   *
+   * @method CloudDatastoreAdapter#_getLookupIds
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {object} query Normalized selection query.
+   * @param {Object[]} queries The queries the selection query fans out into.
+   * @param {object} [opts] Configuration options.
+   * @return {Array} The primary keys, or `undefined`.
+   */
+  _getLookupIds (mapper, query, queries, opts) {
+    const usesCursor = !utils.isUndefined(opts.startCursor) || !utils.isUndefined(opts.endCursor);
+    if (usesCursor || query.hasAncestor || !this._hasKnownKey(mapper, undefined, opts)) {
+      return;
+    }
+    return getLookupIds(queries, mapper.idAttribute);
+  },
 
-Adapter.extend({
-  constructor: CloudDatastoreAdapter,
+  /**
+   * Throw an {@link InvalidQueryError} if a selection query fans out into
+   * more Datastore queries than {@link CloudDatastoreAdapter#fanOutLimit}.
+   *
+   * @method CloudDatastoreAdapter#_checkFanOut
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {Object[]} queries The queries the selection query fans out into.
+   * @param {object} [opts] Configuration options.
+   */
+  _checkFanOut (mapper, queries, opts) {
+    const limit = this.getOpt('fanOutLimit', opts);
+    if (queries.length > limit) {
+      throw new InvalidQueryError(`Query of ${mapper.name} fans out into ${queries.length} Datastore queries, more than the ${limit} allowed by fanOutLimit!`, this._getErrorProps(mapper, opts));
+    }
+  },
 
   /**
-   * Apply the specified selection query to the provided Datastore query.
+   * Whether the full key path of the specified Mapper's records is known
+   * without looking them up, i.e. the Mapper has no parent, or the key of the
+   * parent can be built from `record` or is given by `opts.parentKey`.
    *
-   * @method CloudDatastoreAdapter#filterQuery
+   * @method CloudDatastoreAdapter#_hasKnownKey
+   * @private
    * @param {object} mapper The mapper.
-   * @param {object} [query] Selection query.
-   * @param {object} [query.where] Filtering criteria.
-   * @param {string|Array} [query.orderBy] Sorting criteria.
-   * @param {string|Array} [query.sort] Same as `query.sort`.
-   * @param {number} [query.limit] Limit results.
-   * @param {number} [query.skip] Offset results.
-   * @param {number} [query.offset] Same as `query.skip`.
+   * @param {object} [record] The record.
    * @param {object} [opts] Configuration options.
-   * @param {object} [opts.operators] Override the default predicate functions
-   * for specified operators.
+   * @return {boolean}
+   */
+  _hasKnownKey (mapper, record, opts) {
+    return !this.getParentRelation(mapper) || !!this.getParentKey(mapper, record, opts);
+  },
+
+  /**
+   * Write a chunk of records, reporting the records as failed instead of
+   * failing if the write fails, unless `opts.transaction` is given.
+   *
+   * @method CloudDatastoreAdapter#_runChunk
+   * @private
+   * @param {function} getIds Returns the primary keys of the records.
+   * @param {function} fn Writes the records. Returns a promise of the written
+   * records and the API response.
+   * @param {object} [opts] Configuration options.
+   * @return {Promise} Resolves with the written records and the API response,
+   * which counts the chunk in `succeededChunks` or `failedChunks`, and lists
+   * the records of a failed chunk in `failed`.
    */
-  filterQuery (dsQuery, query, opts) {
-    query = utils.plainCopy(query || {});
+  _runChunk (getIds, fn, opts) {
     opts || (opts = {});
-    opts.operators || (opts.operators = {});
-    query.where || (query.where = {});
-    query.orderBy || (query.orderBy = query.sort);
-    query.orderBy || (query.orderBy = []);
-    query.skip || (query.skip = query.offset);
-
-    // Transform non-keyword properties to "where" clause configuration
-    utils.forOwn(query, (config, keyword) => {
-      if (reserved.indexOf(keyword) === -1) {
-        if (utils.isObject(config)) {
-          query.where[keyword] = config;
-        } else {
-          query.where[keyword] = {
-            '==': config
-          };
-        }
-        delete query[keyword];
+    return utils.resolve().then(fn).then((result) => {
+      const apiResponse = result[1] || {};
+      apiResponse.succeededChunks = 1;
+      return [result[0], apiResponse];
+    }, (err) => {
+      if (opts.transaction) {
+        throw err;
       }
+      return [[], {
+        failed: getIds().map((id) => {
+          return { id, error: err };
+        }),
+        failedChunks: 1
+      }];
     });
+  },
 
-    // Apply filter
-    if (Object.keys(query.where).length !== 0) {
-      utils.forOwn(query.where, (criteria, field) => {
-        if (!utils.isObject(criteria)) {
-          query.where[field] = {
-            '==': criteria
-          };
-        }
+  /**
+   * Check a single Datastore query against the restrictions of Datastore
+   * queries, see {@link CloudDatastoreAdapter#validateQueries}.
+   *
+   * @method CloudDatastoreAdapter#_validateQuery
+   * @private
+   * @param {object} [mapper] The mapper. Without it, the indexed properties
+   * aren't known and aren't checked.
+   * @param {object} query Normalized selection query.
+   * @param {object} [opts] Configuration options.
+   * @param {string} kind Datastore kind of the query.
+   */
+  _validateQuery (mapper, query, opts, kind) {
+    const name = mapper ? mapper.name : kind;
+    const invalid = (message, fields, index) => {
+      const props = this._getErrorProps(mapper, opts);
+      props.fields = fields;
+      if (index) {
+        props.index = index;
+      }
+      return new InvalidQueryError(message, props);
+    };
 
-        utils.forOwn(criteria, (value, operator) => {
-          let isOr = false;
-          let _operator = operator;
-          if (_operator && _operator[0] === '|') {
-            _operator = _operator.substr(1);
-            isOr = true;
-          }
-          const predicateFn = this.getOperator(_operator, opts);
-          if (predicateFn) {
-            if (isOr) {
-              throw new Error(`Operator ${operator} not supported!`);
-            } else {
-              dsQuery = predicateFn(dsQuery, field, value);
-            }
-          } else {
-            throw new Error(`Operator ${operator} not supported!`);
-          }
-        });
-      });
+    const inequalityFields = getInequalityFields(query);
+    if (inequalityFields.length > 1) {
+      throw invalid(`Cannot query ${name} with inequality filters on ${inequalityFields.join(', ')}, Datastore allows inequality filters on a single property!`, inequalityFields);
     }
-
-    // Apply sort
-    if (query.orderBy) {
-      if (utils.isString(query.orderBy)) {
-        query.orderBy = [
-          [query.orderBy, 'asc']
-        ];
+    const field = inequalityFields[0];
+    if (field && query.orderBy.length && query.orderBy[0][0] !== field) {
+      const orderBy = [[field, 'asc']].concat(query.orderBy.filter((clause) => clause[0] !== field));
+      const _query = { orderBy };
+      utils.fillIn(_query, query);
+      const index = getCompositeIndex(kind, _query);
+      let message = `Cannot sort ${name} by ${query.orderBy[0][0]} first, Datastore requires a query with an inequality filter on ${field} to be sorted by ${field} first!`;
+      if (index) {
+        message += ` Sorting by ${field} first requires the composite index:\n${formatIndex(index)}`;
       }
-      query.orderBy.forEach((clause) => {
-        if (utils.isString(clause)) {
-          clause = [clause, 'asc'];
-        }
-        dsQuery = clause[1].toUpperCase() === 'DESC' ? dsQuery.order(clause[0], { descending: true }) : dsQuery.order(clause[0]);
-      });
+      throw invalid(message, [field, query.orderBy[0][0]], index);
     }
 
-    // Apply skip/offset
-    if (query.skip) {
-      dsQuery = dsQuery.offset(+query.skip);
+    if (!mapper) {
+      return;
+    }
+    const excluded = (fields) => uniqueValues(fields).filter((field) => field !== '__key__' && !isIndexed(mapper, field));
+    let fields = excluded(Object.keys(query.where));
+    if (fields.length) {
+      throw invalid(`Cannot filter ${name} by ${fields.join(', ')}, excluded from indexes!`, fields);
+    }
+    fields = excluded(query.orderBy.map((clause) => clause[0]));
+    if (fields.length) {
+      throw invalid(`Cannot sort ${name} by ${fields.join(', ')}, excluded from indexes!`, fields);
     }
+    fields = excluded([].concat(query.select || []));
+    if (fields.length) {
+      throw invalid(`Cannot project ${fields.join(', ')} of ${name}, excluded from indexes!`, fields);
+    }
+  },
 
-    // Apply limit
-    if (query.limit) {
-      dsQuery = dsQuery.limit(+query.limit);
+  /**
+   * Convert an error of the Datastore client into the
+   * {@link CloudDatastoreError} matching its gRPC status code, identifying
+   * the Mapper of the current call, see
+   * {@link CloudDatastoreAdapter#_startOperation}. Other errors are returned
+   * as is.
+   *
+   * @method CloudDatastoreAdapter#_wrapError
+   * @private
+   * @param {Error} err The error.
+   * @param {object} [opts] Configuration options.
+   * @param {object} [props] Additional properties of the error.
+   * @param {boolean} [props.isQuery] Whether the failed request is a query.
+   * @return {Error} The converted error.
+   */
+  _wrapError (err, opts, props) {
+    if (!err || err instanceof CloudDatastoreError || !utils.isNumber(err.code)) {
+      return err;
     }
+    const isQuery = props && props.isQuery;
+    props = utils.omit(props || {}, ['isQuery']);
+    let ErrorClass = ERRORS[err.code] || CloudDatastoreError;
+    if (isQuery && err.code === INVALID_ARGUMENT) {
+      ErrorClass = InvalidQueryError;
+    } else if (isQuery && err.code === FAILED_PRECONDITION) {
+      ErrorClass = MissingIndexError;
+    }
+    utils.fillIn(props, this._getErrorProps(undefined, opts));
+    props.code = err.code;
+    props.cause = err;
+    return new ErrorClass(err.message, props);
+  },
 
-    return dsQuery;
+  /**
+   * Return the properties identifying the Mapper of an error, see
+   * {@link CloudDatastoreError}.
+   *
+   * @method CloudDatastoreAdapter#_getErrorProps
+   * @private
+   * @param {object} [mapper] The mapper. Defaults to the Mapper of the
+   * current call.
+   * @param {object} [opts] Configuration options.
+   * @param {object} [key] Datastore key of the entity concerned.
+   * @return {object} The properties.
+   */
+  _getErrorProps (mapper, opts, key) {
+    opts || (opts = {});
+    mapper || (mapper = opts.operation && opts.operation.mapper);
+    const props = {};
+    if (mapper) {
+      props.mapperName = mapper.name;
+      props.kind = this.getKind(mapper, opts);
+    }
+    if (key) {
+      props.key = key;
+    }
+    return props;
   },
 
-  _count (mapper, query, opts) {
+  /**
+   * Call `fn` until the promise it returns resolves, or until it rejects with
+   * an error that the retry policy doesn't allow to retry, waiting longer and
+   * longer between attempts. `fn` is only called once within a transaction,
+   * which is retried as a whole instead, see
+   * {@link CloudDatastoreAdapter#retry}. The error of the last attempt is
+   * converted by {@link CloudDatastoreAdapter#_wrapError}.
+   *
+   * @method CloudDatastoreAdapter#_retry
+   * @private
+   * @param {function} fn Makes the request and returns a promise.
+   * @param {object} [opts] Configuration options.
+   * @param {object} [opts.retry] See {@link CloudDatastoreAdapter#retry}.
+   * @param {object} [opts.transaction] See {@link CloudDatastoreAdapter#transaction}.
+   * @param {object} [errorProps] See {@link CloudDatastoreAdapter#_wrapError}.
+   * @return {Promise} Resolves with the value of the last attempt.
+   */
+  _retry (fn, opts, errorProps) {
     opts || (opts = {});
-    query || (query = {});
+    const wrapError = (err) => {
+      throw this._wrapError(err, opts, errorProps);
+    };
+    if (opts.transaction) {
+      return utils.resolve().then(fn).catch(wrapError);
+    }
+    const policy = {};
+    utils.fillIn(policy, opts.retry || {});
+    utils.fillIn(policy, this.retry);
 
-    return new utils.Promise((resolve, reject) => {
-      let dsQuery = this.datastore.createQuery(this.getKind(mapper, opts));
-      dsQuery = this.filterQuery(dsQuery, query, opts).select('__key__');
-      this.datastore.runQuery(dsQuery, (err, entities) => {
-        if (err) {
-          return reject(err);
+    const attempt = (retry) => {
+      return utils.resolve().then(fn).catch((err) => {
+        if (!err || policy.codes.indexOf(err.code) === -1 || retry + 1 >= policy.maxAttempts) {
+          throw err;
         }
-        return resolve([entities ? entities.length : 0, {}]);
+        if (opts.operation) {
+          opts.operation.retries++;
+        }
+        return new utils.Promise((resolve) => {
+          setTimeout(resolve, getRetryDelay(policy, retry));
+        }).then(() => attempt(retry + 1));
       });
-    });
+    };
+
+    return attempt(0).catch(wrapError);
   },
 
   /**
-   * Internal method used by CloudDatastoreAdapter#_create and
-   * CloudDatastoreAdapter#_createMany.
+   * Run the selection query, fanning out into one Datastore query per
+   * alternative when the query uses any of the
+   * {@link module:js-data-cloud-datastore.FAN_OUT_OPERATORS}. The results of
+   * a fan-out are merged, de-duplicated by key, and then sorted, skipped and
+   * limited according to the selection query.
    *
-   * @method CloudDatastoreAdapter#_createHelper
+   * @method CloudDatastoreAdapter#_runQuery
    * @private
    * @param {object} mapper The mapper.
-   * @param {(Object|Object[])} records The record or records to be created.
-   * @return {Promise}
+   * @param {object} [query] Selection query.
+   * @param {object} [opts] Configuration options.
+   * @param {(string|string[])} [select] Properties to project.
+   * @return {Promise} Resolves with the matching entities and, for a single
+   * Datastore query, its `endCursor` and `moreResults` metadata.
    */
-  _createHelper (mapper, records) {
-    const singular = !utils.isArray(records);
-    if (singular) {
-      records = [records];
+  _runQuery (mapper, query, opts, select) {
+    opts || (opts = {});
+    query = normalizeQuery(query);
+    const queries = this.expandQuery(query, opts);
+    const usesCursor = !utils.isUndefined(opts.startCursor) || !utils.isUndefined(opts.endCursor);
+    const scanLimit = this.getOpt('likeScanLimit', opts);
+    const likes = scanLimit ? queries.map(takeScannedLikes) : [];
+    const ids = this._getLookupIds(mapper, query, queries, opts);
+    if (!ids) {
+      this._checkFanOut(mapper, queries, opts);
     }
-    records = utils.plainCopy(records);
-    return new utils.Promise((resolve, reject) => {
-      let apiResponse;
-      const idAttribute = mapper.idAttribute;
-      const incompleteKey = this.datastore.key([mapper.name]);
+    const skip = +query.skip || 0;
+    const limit = +query.limit || 0;
+    let subQueries = queries;
+    let run;
 
-      const transaction = this.datastore.transaction();
-      transaction.run((err) => {
-        if (err) {
-          return reject(err);
-        }
-        // Allocate ids
-        transaction.allocateIds(incompleteKey, records.length, (err, keys) => {
-          if (err) {
-            return reject(err);
-          }
-          const entities = records.map((_record, i) => {
-            utils.set(_record, idAttribute, keys[i].path[1]);
-            return {
-              key: keys[i],
-              data: _record
-            };
-          });
-          // Save records
-          transaction.save(entities);
-          apiResponse = {
-            created: singular ? 1 : entities.length
-          };
-          transaction.commit((err) => {
-            if (err) {
-              return reject(err);
-            }
+    if (!queries.length) {
+      return utils.resolve([[], {}]);
+    } else if (likes.some((_likes) => _likes.length)) {
+      if (usesCursor) {
+        throw new InvalidQueryError('Query cursors are not supported for queries with "like" patterns that are matched client-side!', this._getErrorProps(mapper, opts));
+      }
+      run = (subQuery, i) => this._runScan(mapper, subQuery, likes[i], opts, scanLimit);
+    } else if (ids) {
+      // Selecting records by primary key only is a batched lookup
+      subQueries = [ids];
+      run = (_ids) => this._getEntities(mapper, _ids, opts);
+    } else if (queries.length === 1) {
+      return this._runDatastoreQuery(mapper, queries[0], opts, select);
+    } else if (usesCursor) {
+      throw new InvalidQueryError('Query cursors are not supported for queries that require more than one Datastore query!', this._getErrorProps(mapper, opts));
+    } else {
+      run = (subQuery) => {
+        return this._runSubQuery(mapper, subQuery, opts, select, limit && skip + limit).then((result) => result[0]);
+      };
+    }
 
-            // The transaction completed successfully.
-            return resolve([singular ? records[0] : records, apiResponse]);
-          });
+    // At most `batchConcurrency` queries are run at a time
+    const indexes = subQueries.map((subQuery, i) => i);
+    return mapInChunks(indexes, 1, (chunk) => run(subQueries[chunk[0]], chunk[0]), this.getOpt('batchConcurrency', opts)).then((results) => {
+      const seen = {};
+      let entities = [];
+      results.forEach((_entities) => {
+        _entities.forEach((entity) => {
+          const id = keyToString(entity.key);
+          if (!seen[id]) {
+            seen[id] = true;
+            entities.push(entity);
+          }
         });
       });
+      entities.sort((a, b) => {
+        for (var i = 0; i < query.orderBy.length; i++) {
+          const clause = query.orderBy[i];
+          const descending = clause[1].toUpperCase() === 'DESC';
+          const cmp = compareValues(getSortValue(a.data, clause[0], descending), getSortValue(b.data, clause[0], descending));
+          if (cmp !== 0) {
+            return descending ? -cmp : cmp;
+          }
+        }
+        return compareKeys(a.key, b.key);
+      });
+      return [limit ? entities.slice(skip, skip + limit) : entities.slice(skip), {}];
     });
   },
 
   /**
-   * Create a new record. Internal method used by Adapter#create.
+   * Run one of the queries a selection query fans out into. Skip and limit
+   * are applied to the merged results, so the query only returns as many
+   * entities as the merged results could need.
    *
-   * @method CloudDatastoreAdapter#_create
+   * @method CloudDatastoreAdapter#_runSubQuery
    * @private
    * @param {object} mapper The mapper.
-   * @param {object} props The record to be created.
+   * @param {object} query Selection query.
    * @param {object} [opts] Configuration options.
-   * @return {Promise}
+   * @param {(string|string[])} [select] Properties to project.
+   * @param {number} [limit] Maximum number of entities needed, if any.
+   * @return {Promise} Resolves with the matching entities and the query's
+   * metadata.
    */
-  _create (mapper, props, opts) {
-    return this._createHelper(mapper, props, opts);
+  _runSubQuery (mapper, query, opts, select, limit) {
+    return this._runDatastoreQuery(mapper, this._getSubQuery(query, limit), opts, select);
   },
 
   /**
-   * Create multiple records in a single batch. Internal method used by
-   * Adapter#createMany.
+   * Run one of the queries a selection query fans out into without the
+   * "like" criteria that cannot be translated into a range, and match the
+   * entities it selects against them, see
+   * {@link CloudDatastoreAdapter#likeScanLimit}. Entities are retrieved
+   * whole, since matching needs their data.
    *
-   * @method CloudDatastoreAdapter#_createMany
+   * @method CloudDatastoreAdapter#_runScan
    * @private
    * @param {object} mapper The mapper.
-   * @param {object} props The records to be created.
+   * @param {object} query Selection query.
+   * @param {Array[]} likes The "like" criteria removed from the query, as
+   * pairs of field and pattern.
    * @param {object} [opts] Configuration options.
-   * @return {Promise}
+   * @param {number} scanLimit Maximum number of entities to scan.
+   * @return {Promise} Resolves with the matching entities.
    */
-  _createMany (mapper, props, opts) {
-    return this._createHelper(mapper, props, opts);
+  _runScan (mapper, query, likes, opts, scanLimit) {
+    query = this._getSubQuery(query);
+    query.limit = scanLimit + 1;
+    return this._runDatastoreQuery(mapper, query, opts).then((result) => {
+      const entities = result[0];
+      if (entities.length > scanLimit) {
+        throw new InvalidQueryError(`Cannot match more than ${scanLimit} entities of ${mapper.name} against "like" patterns, narrow the query or raise likeScanLimit!`, this._getErrorProps(mapper, opts));
+      }
+      return entities.filter((entity) => matchesLikes(entity.data, likes));
+    });
   },
 
   /**
-   * Destroy the record with the given primary key. Internal method used by
-   * Adapter#destroy.
+   * Adapt one of the queries a selection query fans out into, see
+   * {@link CloudDatastoreAdapter#_runSubQuery}.
    *
-   * @method CloudDatastoreAdapter#_destroy
+   * @method CloudDatastoreAdapter#_getSubQuery
    * @private
-   * @param {object} mapper The mapper.
-   * @param {(string|number)} id Primary key of the record to destroy.
-   * response object.
-   * @return {Promise}
+   * @param {object} query Selection query. Modified in place.
+   * @param {number} [limit] Maximum number of entities needed, if any.
+   * @return {object} The selection query.
    */
-  _destroy (mapper, id) {
-    return new utils.Promise((resolve, reject) => {
-      this.datastore.delete(this.datastore.key([mapper.name, id]), (err, apiResponse) => {
-        return err ? reject(err) : resolve([undefined, apiResponse]);
-      });
-    });
+  _getSubQuery (query, limit) {
+    delete query.skip;
+    delete query.limit;
+    // Datastore requires the property of an inequality filter to be sorted
+    // first. The merged results are sorted again anyway.
+    const inequalityField = getInequalityFields(query)[0];
+    if (query.orderBy.length && inequalityField && query.orderBy[0][0] !== inequalityField) {
+      query.orderBy.unshift([inequalityField, 'asc']);
+    } else if (limit) {
+      query.limit = limit;
+    }
+    return query;
   },
 
   /**
-   * Destroy the records that match the selection query. Internal method used by
-   * Adapter#destroyAll.
+   * Run a single Datastore query built from the given selection query.
    *
-   * @method CloudDatastoreAdapter#_destroyAll
+   * @method CloudDatastoreAdapter#_runDatastoreQuery
    * @private
-   * @param {object} mapper the mapper.
-   * @param {object} [query] Selection query.
-   * @return {Promise}
+   * @param {object} mapper The mapper.
+   * @param {object} query Selection query.
+   * @param {object} [opts] Configuration options.
+   * @param {(string|string[])} [select] Properties to project.
+   * @return {Promise} Resolves with the matching entities and the query's
+   * `endCursor` and `moreResults` metadata.
    */
-  _destroyAll (mapper, query, opts) {
-    return new utils.Promise((resolve, reject) => {
-      let dsQuery = this.datastore.createQuery(this.getKind(mapper, opts));
-      dsQuery = this.filterQuery(dsQuery, query, opts);
-      dsQuery = dsQuery.select('__key__');
-      this.datastore.runQuery(dsQuery, (err, entities) => {
-        if (err) {
-          return reject(err);
-        }
-        const keys = entities.map((entity) => entity.key);
-        this.datastore.delete(keys, (err, apiResponse) => {
+  _runDatastoreQuery (mapper, query, opts, select) {
+    const dsQuery = this._createDatastoreQuery(mapper, query, opts, select);
+    return this._retry(() => {
+      return new utils.Promise((resolve, reject) => {
+        this.getClient(opts).runQuery(dsQuery, (err, entities, info) => {
           if (err) {
             return reject(err);
           }
-          resolve([undefined, apiResponse]);
-        });
-      });
+          info || (info = {});
+          return resolve([(entities || []).map((entity) => this._readEntity(entity)), {
+            endCursor: info.endCursor,
+            moreResults: info.moreResults
+          }]);
+        });
+      });
+    }, opts, { isQuery: true });
+  },
+
+  /**
+   * Create the Datastore query for the given selection query.
+   *
+   * @method CloudDatastoreAdapter#_createDatastoreQuery
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {object} query Selection query.
+   * @param {object} [opts] Configuration options.
+   * @param {(string|string[])} [select] Properties to project.
+   * @return {object} The Datastore query.
+   */
+  _createDatastoreQuery (mapper, query, opts, select) {
+    const kind = this.getKind(mapper, opts);
+    const namespace = this.getNamespace(mapper, opts);
+    const dsQuery = utils.isUndefined(namespace) ? this.datastore.createQuery(kind) : this.datastore.createQuery(namespace, kind);
+    query = normalizeQuery(query);
+    query.select = select;
+    return this.filterQuery(dsQuery, query, opts, mapper);
+  },
+
+  /**
+   * Stream the entities that match the selection query. A query that fans out
+   * into several Datastore queries is streamed one Datastore query after the
+   * other, unless it is sorted, skipped or limited, in which case the merged
+   * results have to be buffered. So are the results of a query with "like"
+   * patterns matched client-side, see
+   * {@link CloudDatastoreAdapter#likeScanLimit}.
+   *
+   * @method CloudDatastoreAdapter#_runQueryStream
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {object} [query] Selection query.
+   * @param {object} [opts] Configuration options.
+   * @param {(string|string[])} [select] Properties to project.
+   * @return {stream.Readable} Object stream of the matching entities.
+   */
+  _runQueryStream (mapper, query, opts, select) {
+    opts || (opts = {});
+    query = normalizeQuery(query);
+    const queries = this.expandQuery(query, opts);
+    const seen = {};
+    const entities = new Transform({
+      objectMode: true,
+      transform (entity, encoding, next) {
+        if (queries.length > 1) {
+          const id = keyToString(entity.key);
+          if (seen[id]) {
+            return next();
+          }
+          seen[id] = true;
+        }
+        next(null, entity);
+      }
     });
+    const errorProps = this._getErrorProps(mapper, opts);
+    errorProps.isQuery = true;
+    const onError = (err) => entities.emit('error', this._wrapError(err, opts, errorProps));
+    const isScan = !!this.getOpt('likeScanLimit', opts) && queries.some((_query) => takeScannedLikes(_query).length);
+    const isLookup = !query.hasAncestor && this._hasKnownKey(mapper, undefined, opts) && getLookupIds(queries, mapper.idAttribute);
+    const canStream = !isScan && !isLookup &&
+      (queries.length === 1 || (!query.orderBy.length && !query.skip && !query.limit));
+
+    // Start once the caller has had a chance to listen for errors
+    utils.resolve().then(() => {
+      if (!canStream) {
+        return this._runQuery(mapper, query, opts, select).then((result) => {
+          result[0].forEach((entity) => entities.write(entity));
+          entities.end();
+        });
+      }
+      this._checkFanOut(mapper, queries, opts);
+      const dsQueries = queries.map((_query) => this._createDatastoreQuery(mapper, _query, opts, select));
+      const next = (i) => {
+        if (i === dsQueries.length) {
+          return entities.end();
+        }
+        const source = this.getClient(opts).runQueryStream(dsQueries[i]);
+        const read = new Transform({
+          objectMode: true,
+          transform: (entity, encoding, done) => done(null, this._readEntity(entity))
+        });
+        source.on('error', onError);
+        read.on('end', () => next(i + 1));
+        source.pipe(read).pipe(entities, { end: false });
+      };
+      next(0);
+    }).catch(onError);
+
+    return entities;
   },
 
   /**
-   * Retrieve the record with the given primary key. Internal method used by
-   * Adapter#find.
+   * Save the given entities, or mark them for saving if `opts.transaction`
+   * is given.
    *
-   * @method CloudDatastoreAdapter#_find
+   * @method CloudDatastoreAdapter#_save
    * @private
-   * @param {object} mapper The mapper.
-   * @param {(string|number)} id Primary key of the record to retrieve.
+   * @param {Object[]} entities The entities.
    * @param {object} [opts] Configuration options.
-   * @return {Promise}
+   * @param {object} [opts.transaction] See {@link CloudDatastoreAdapter#transaction}.
+   * @return {Promise} Resolves with the API response.
    */
-  _find (mapper, id, opts) {
-    return new utils.Promise((resolve, reject) => {
-      const key = this.datastore.key([this.getKind(mapper, opts), id]);
-      this.datastore.get(key, (err, entity) => {
-        return err ? reject(err) : resolve([entity ? entity.data : undefined, {}]);
+  _save (entities, opts) {
+    opts || (opts = {});
+    if (opts.transaction) {
+      opts.transaction.save(entities);
+      return utils.resolve({});
+    }
+    const save = () => {
+      return new utils.Promise((resolve, reject) => {
+        this.datastore.save(entities, (err, apiResponse) => {
+          return err ? reject(err) : resolve(apiResponse);
+        });
       });
-    });
+    };
+    const errorProps = { key: entities.length === 1 ? entities[0].key : undefined };
+    // Retrying an insert that may have succeeded would fail
+    const isIdempotent = entities.every((entity) => entity.method === 'update' || entity.method === 'upsert');
+    if (!isIdempotent) {
+      return save().catch((err) => {
+        throw this._wrapError(err, opts, errorProps);
+      });
+    }
+    return this._retry(save, opts, errorProps);
   },
 
   /**
-   * Retrieve the records that match the selection query. Internal method used
-   * by Adapter#findAll.
+   * Retrieve the sum of the specified field of the records that match the
+   * selection query, with an aggregation query if possible, see
+   * {@link CloudDatastoreAdapter#_aggregate}. Otherwise the sum is computed
+   * from the matching records. Internal method used by Adapter#sum.
    *
-   * @method CloudDatastoreAdapter#_findAll
+   * @method CloudDatastoreAdapter#_sum
    * @private
    * @param {object} mapper The mapper.
+   * @param {string} field The field to sum.
    * @param {object} [query] Selection query.
    * @param {object} [opts] Configuration options.
    * @return {Promise}
    */
-  _findAll (mapper, query, opts) {
-    return new utils.Promise((resolve, reject) => {
-      let dsQuery = this.datastore.createQuery(this.getKind(mapper, opts));
-      dsQuery = this.filterQuery(dsQuery, query, opts);
-      this.datastore.runQuery(dsQuery, (err, entities) => {
-        if (err) {
-          return reject(err);
-        }
-        return resolve([entities ? entities.map((entity) => entity.data) : [], {}]);
-      });
-    });
-  },
-
   _sum (mapper, field, query, opts) {
     if (!utils.isString(field)) {
       throw new Error('field must be a string!');
     }
-    opts || (opts = {});
+    opts = this._startOperation(mapper, opts);
     query || (query = {});
-    const canSelect = !Object.keys(query).length;
 
-    return new utils.Promise((resolve, reject) => {
-      let dsQuery = this.datastore.createQuery(this.getKind(mapper, opts));
-      dsQuery = this.filterQuery(dsQuery, query, opts);
-      if (canSelect) {
-        dsQuery = dsQuery.select(field);
-      }
-      this.datastore.runQuery(dsQuery, (err, entities) => {
-        if (err) {
-          return reject(err);
-        }
-        const sum = entities.reduce((sum, entity) => sum + (entity.data[field] || 0), 0);
-        return resolve([sum, {}]);
+    return this._aggregate(mapper, query, opts, 'sum', field).then((sum) => {
+      if (!utils.isUndefined(sum)) {
+        return [sum || 0, {}];
+      }
+      const canSelect = !Object.keys(query).length;
+      return this._runQuery(mapper, query, opts, canSelect ? field : undefined).then((result) => {
+        // Like aggregation queries, ignore values that aren't numbers
+        const sum = result[0].reduce((sum, entity) => sum + (utils.isNumber(entity.data[field]) ? entity.data[field] : 0), 0);
+        return [sum, {}];
       });
     });
   },
@@ -451,6 +3375,8 @@ Adapter.extend({
   /**
    * Internal method used by CloudDatastoreAdapter#_update and
    * CloudDatastoreAdapter#_updateAll and CloudDatastoreAdapter#_updateMany.
+   * Updates cannot change the foreign keys of the ancestors of a record, see
+   * {@link CloudDatastoreAdapter#getParentRelation}.
    *
    * @method CloudDatastoreAdapter#_updateHelper
    * @private
@@ -471,6 +3397,10 @@ Adapter.extend({
         return resolve([singular ? undefined : [], {}]);
       }
       const idAttribute = mapper.idAttribute;
+      const versionAttribute = mapper.versionAttribute;
+      const parentRelation = this.getParentRelation(mapper);
+      // Parent keys are resolved from the records, not from opts.parentKey
+      const recordOpts = utils.omit(opts || {}, ['parentKey']);
       const entities = [];
       const _records = [];
       records.forEach((record, i) => {
@@ -479,27 +3409,94 @@ Adapter.extend({
         }
         const id = utils.get(record, idAttribute);
         if (!utils.isUndefined(id)) {
+          // The key path is built before the update can change the foreign
+          // keys of the ancestors
+          const key = this.getKey(mapper, id, opts, record);
+          const version = versionAttribute ? utils.get(record, versionAttribute) : undefined;
+          if (versionAttribute) {
+            this._checkVersion(mapper, key, version, utils.get(props[i], versionAttribute), opts);
+          }
+          const parentKey = parentRelation ? this.getParentKey(mapper, record, recordOpts) : undefined;
           utils.deepMixIn(record, props[i]);
-          entities.push({
-            method: 'update',
-            key: this.datastore.key([this.getKind(mapper, opts), id]),
-            data: record
-          });
+          if (parentKey) {
+            // Datastore keys are immutable, so records cannot be moved to
+            // another parent
+            const newParentKey = this.getParentKey(mapper, record, recordOpts);
+            if (!newParentKey || keyToString(newParentKey) !== keyToString(parentKey)) {
+              throw new InvalidRecordError(`Cannot change ${parentRelation.foreignKey} of ${mapper.name} ${id}, the key of the record depends on its ancestors!`, this._getErrorProps(mapper, opts, key));
+            }
+          }
+          if (versionAttribute) {
+            utils.set(record, versionAttribute, (+version || 0) + 1);
+          }
+          entities.push(this.toEntity(mapper, key, record, 'update', opts));
           _records.push(record);
         }
       });
       if (!_records.length) {
         return resolve([singular ? undefined : [], {}]);
       }
-      this.datastore.save(entities, (err, apiResponse) => {
-        return err ? reject(err) : resolve([singular ? _records[0] : _records, apiResponse]);
-      });
+      return this._save(entities, opts).then((apiResponse) => {
+        resolve([singular ? _records[0] : _records, apiResponse]);
+      }, reject);
     });
   },
 
+  /**
+   * Throw a {@link ConflictError} if the update of a record holds a version
+   * other than the stored version of the record, see the Mapper's
+   * `versionAttribute`.
+   *
+   * @method CloudDatastoreAdapter#_checkVersion
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {object} key Datastore key of the record.
+   * @param {number} [currentVersion] Stored version of the record.
+   * @param {number} [expectedVersion] Version held by the update, if any.
+   * @param {object} [opts] Configuration options.
+   */
+  _checkVersion (mapper, key, currentVersion, expectedVersion, opts) {
+    if (utils.isUndefined(expectedVersion) || +expectedVersion === +(currentVersion || 0)) {
+      return;
+    }
+    const id = getRecordId(key);
+    const props = this._getErrorProps(mapper, opts, key);
+    props.currentVersion = currentVersion;
+    props.expectedVersion = expectedVersion;
+    throw new ConflictError(`${mapper.name} ${id} is at version ${currentVersion}, not ${expectedVersion}!`, props);
+  },
+
+  /**
+   * Update a batch of records in a transaction of its own, or in
+   * `opts.transaction` if given. Internal method used by
+   * CloudDatastoreAdapter#_updateAll and CloudDatastoreAdapter#_updateMany.
+   *
+   * @method CloudDatastoreAdapter#_updateBatch
+   * @private
+   * @param {Array} ids Primary keys of the records in the batch.
+   * @param {function} fn Called with the options to read and write in the
+   * transaction. Returns a promise of the update result.
+   * @param {object} [opts] Configuration options.
+   * @return {Promise} Resolves with the update result, see
+   * {@link CloudDatastoreAdapter#_runChunk}.
+   */
+  _updateBatch (ids, fn, opts) {
+    return this._runChunk(() => ids, () => {
+      return this.transaction((transaction) => {
+        const _opts = { transaction };
+        utils.fillIn(_opts, opts);
+        return fn(_opts);
+      }, opts);
+    }, opts);
+  },
+
   /**
    * Apply the given update to the record with the specified primary key.
-   * Internal method used by Adapter#update.
+   * The record is read and written in a transaction, see
+   * {@link CloudDatastoreAdapter#transaction}, which also checks and
+   * increments the version of the record if the Mapper has a
+   * `versionAttribute`, see {@link ConflictError}. Internal method used by
+   * Adapter#update.
    *
    * @method CloudDatastoreAdapter#_update
    * @private
@@ -510,18 +3507,27 @@ Adapter.extend({
    * @return {Promise}
    */
   _update (mapper, id, props, opts) {
+    opts = this._startOperation(mapper, opts);
     props || (props = {});
-    return this._find(mapper, id, opts).then((result) => {
-      if (result[0]) {
-        props = utils.plainCopy(props);
-        return this._updateHelper(mapper, result[0], props, opts);
-      }
-      throw new Error('Not Found');
-    });
+    return this.transaction((transaction) => {
+      const _opts = { transaction };
+      utils.fillIn(_opts, opts);
+      return this._getEntity(mapper, id, _opts).then((entity) => {
+        if (entity) {
+          return this._updateHelper(mapper, this.decodeRecord(mapper, entity.data, _opts), utils.plainCopy(props), _opts);
+        }
+        const key = this._hasKnownKey(mapper, undefined, opts) ? this.getKey(mapper, id, opts) : undefined;
+        throw new NotFoundError('Not Found', this._getErrorProps(mapper, opts, key));
+      });
+    }, opts);
   },
 
   /**
    * Apply the given update to all records that match the selection query.
+   * The selected records are read and written in transactions of at most 25
+   * records each, see {@link CloudDatastoreAdapter#batchSize}. Versions are
+   * checked and incremented like by {@link CloudDatastoreAdapter#_update}, a
+   * version in `props` must be the version of every selected record.
    * Internal method used by Adapter#updateAll.
    *
    * @method CloudDatastoreAdapter#_updateAll
@@ -533,20 +3539,31 @@ Adapter.extend({
    * @return {Promise}
    */
   _updateAll (mapper, props, query, opts) {
+    opts = this._startOperation(mapper, opts);
     props || (props = {});
-    return this._findAll(mapper, query, opts).then((result) => {
-      let [records] = result;
-      records = records.filter((record) => record);
-      if (records.length) {
-        props = utils.plainCopy(props);
-        return this._updateHelper(mapper, records, records.map(() => props), opts);
-      }
-      return [[], {}];
-    });
+    props = utils.plainCopy(props);
+    const stream = this._runQueryStream(mapper, query, opts, '__key__');
+    const size = Math.min(this._getBatchSize(opts), MAX_TRANSACTION_SIZE);
+    return consumeInBatches(stream, size, (entities) => {
+      const keys = entities.map((entity) => entity.key);
+      const ids = keys.map(getRecordId);
+      return this._updateBatch(ids, (_opts) => {
+        return this._lookup(keys, _opts).then((entities) => {
+          const records = entities.map((entity) => this.decodeRecord(mapper, entity.data, _opts));
+          return this._updateHelper(mapper, records, records.map(() => props), _opts);
+        });
+      }, opts);
+    }, this.getOpt('batchConcurrency', opts)).then((results) => this._mergeChunkResults(mapper, results, opts));
   },
 
   /**
-   * Update the given records in a single batch. Internal method used by
+   * Update the given records. The records are read and written in
+   * transactions of at most 25 records each, see
+   * {@link CloudDatastoreAdapter#batchSize}. Versions are checked and
+   * incremented like by {@link CloudDatastoreAdapter#_update}, each given
+   * record holding its own version. Records that don't exist are listed in
+   * the `failed` array of the response metadata with a {@link NotFoundError},
+   * see {@link CloudDatastoreAdapter#batchSize}. Internal method used by
    * Adapter#updateMany.
    *
    * @method CloudDatastoreAdapter#_updateMany
@@ -557,53 +3574,414 @@ Adapter.extend({
    * @return {Promise}
    */
   _updateMany (mapper, records, opts) {
+    opts = this._startOperation(mapper, opts);
     records || (records = []);
     const idAttribute = mapper.idAttribute;
-    const tasks = records.map((record) => this._find(mapper, utils.get(record, idAttribute), opts));
-    return utils.Promise.all(tasks).then((results) => {
-      let _records = results.map((result) => result[0]);
-      _records.forEach((record, i) => {
-        if (!record) {
-          records[i] = undefined;
+    const size = Math.min(this._getBatchSize(opts), MAX_TRANSACTION_SIZE);
+    return mapInChunks(records, size, (batch) => {
+      const ids = batch.map((record) => utils.get(record, idAttribute));
+      return this._updateBatch(ids, (_opts) => {
+        const tasks = batch.map((record, i) => this._getEntity(mapper, ids[i], _opts, record));
+        return utils.Promise.all(tasks).then((entities) => {
+          const _records = entities.filter((entity) => entity).map((entity) => this.decodeRecord(mapper, entity.data, _opts));
+          const props = batch.filter((record, i) => entities[i]);
+          const failed = [];
+          batch.forEach((record, i) => {
+            if (!entities[i]) {
+              const key = this._hasKnownKey(mapper, record, opts) ? this.getKey(mapper, ids[i], opts, record) : undefined;
+              failed.push({ id: ids[i], error: new NotFoundError('Not Found', this._getErrorProps(mapper, opts, key)) });
+            }
+          });
+          return this._updateHelper(mapper, _records, utils.plainCopy(props), _opts).then((result) => {
+            if (failed.length) {
+              result[1].failed = (result[1].failed || []).concat(failed);
+            }
+            return result;
+          });
+        });
+      }, opts);
+    }, this.getOpt('batchConcurrency', opts)).then((results) => this._mergeChunkResults(mapper, results, opts));
+  },
+
+  /**
+   * Save a record with Datastore's upsert semantics. Internal method used by
+   * CloudDatastoreAdapter#upsert.
+   *
+   * @method CloudDatastoreAdapter#_upsert
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {object} props The record to be saved.
+   * @param {object} [opts] Configuration options.
+   * @return {Promise}
+   */
+  _upsert (mapper, props, opts) {
+    return this._upsertHelper(mapper, props, opts);
+  },
+
+  /**
+   * Internal method used by CloudDatastoreAdapter#_upsert and
+   * CloudDatastoreAdapter#_upsertMany. If the Mapper has a
+   * `versionAttribute`, the records are saved in transactions of at most 25
+   * records each, see {@link CloudDatastoreAdapter#_upsertChunk}.
+   *
+   * @method CloudDatastoreAdapter#_upsertHelper
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {(Object|Object[])} records The record or records to be saved.
+   * @param {object} [opts] Configuration options.
+   * @return {Promise}
+   */
+  _upsertHelper (mapper, records, opts) {
+    opts = this._startOperation(mapper, opts);
+    const singular = !utils.isArray(records);
+    if (singular) {
+      records = [records];
+    }
+    records = utils.plainCopy(records);
+    const versionAttribute = mapper.versionAttribute;
+    const size = versionAttribute ? Math.min(this._getBatchSize(opts), MAX_TRANSACTION_SIZE) : this._getBatchSize(opts);
+    return this._writeInChunks(mapper, records, size, (_records) => {
+      return this._allocateKeys(mapper, _records, opts).then((keys) => {
+        if (versionAttribute) {
+          return this._upsertChunk(mapper, _records, keys, opts);
         }
+        const entities = _records.map((record, i) => this.toEntity(mapper, keys[i], record, 'upsert', opts));
+        return this._save(entities, opts).then((apiResponse) => [_records, apiResponse]);
       });
-      _records = _records.filter((record) => record);
-      records = records.filter((record) => record);
-      if (_records.length) {
-        records = utils.plainCopy(records);
-        return this._updateHelper(mapper, _records, records, opts);
-      }
-      return [[], {}];
-    });
+    }, opts).then((result) => [singular ? result[0][0] : result[0], result[1]]);
   },
 
-  loadBelongsTo (mapper, def, records, __opts) {
-    if (utils.isObject(records) && !utils.isArray(records)) {
-      return Adapter.prototype.loadBelongsTo.call(this, mapper, def, records, __opts);
+  /**
+   * Save a chunk of records of a Mapper that has a `versionAttribute` in a
+   * transaction, which checks and increments the versions of the records like
+   * {@link CloudDatastoreAdapter#_updateHelper}. New records get version 1.
+   * Internal method used by CloudDatastoreAdapter#_upsertHelper.
+   *
+   * @method CloudDatastoreAdapter#_upsertChunk
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {Object[]} records The records to be saved.
+   * @param {Object[]} keys The keys of the records.
+   * @param {object} [opts] Configuration options.
+   * @return {Promise}
+   */
+  _upsertChunk (mapper, records, keys, opts) {
+    const versionAttribute = mapper.versionAttribute;
+    return this.transaction((transaction) => {
+      const _opts = { transaction };
+      utils.fillIn(_opts, opts);
+      return this._lookup(keys, _opts).then((entities) => {
+        const versions = {};
+        entities.forEach((entity) => {
+          versions[keyToString(entity.key)] = utils.get(entity.data, versionAttribute);
+        });
+        // The given records are left as they are, in case the transaction is
+        // retried
+        const _records = records.map((record, i) => {
+          const version = versions[keyToString(keys[i])];
+          this._checkVersion(mapper, keys[i], version, utils.get(record, versionAttribute), opts);
+          const _record = utils.plainCopy(record);
+          utils.set(_record, versionAttribute, (+version || 0) + 1);
+          return _record;
+        });
+        transaction.save(_records.map((record, i) => this.toEntity(mapper, keys[i], record, 'upsert', opts)));
+        return [_records, {}];
+      });
+    }, opts);
+  },
+
+  /**
+   * Save multiple records with Datastore's upsert semantics in a single
+   * batch. Internal method used by CloudDatastoreAdapter#upsertMany.
+   *
+   * @method CloudDatastoreAdapter#_upsertMany
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {Object[]} props The records to be saved.
+   * @param {object} [opts] Configuration options.
+   * @return {Promise}
+   */
+  _upsertMany (mapper, props, opts) {
+    return this._upsertHelper(mapper, props, opts);
+  },
+
+  /**
+   * Write the given records of the specified Mapper in chunks, see
+   * {@link CloudDatastoreAdapter#batchSize}.
+   *
+   * @method CloudDatastoreAdapter#_writeInChunks
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {Object[]} records The records.
+   * @param {number} size Maximum number of records per chunk.
+   * @param {function} fn Writes a chunk of records. Returns a promise of the
+   * written records and the API response.
+   * @param {object} [opts] Configuration options.
+   * @return {Promise} Resolves with the written records and the combined API
+   * responses.
+   */
+  _writeInChunks (mapper, records, size, fn, opts) {
+    return mapInChunks(records, size, (_records) => {
+      const getIds = () => _records.map((record) => utils.get(record, mapper.idAttribute));
+      return this._runChunk(getIds, () => fn(_records), opts);
+    }, this.getOpt('batchConcurrency', opts)).then((results) => this._mergeChunkResults(mapper, results, opts));
+  },
+
+  /**
+   * Combine the results of writing several chunks of records into one,
+   * failing with a {@link PartialFailureError} if some chunks failed, unless
+   * `opts.raw` is set, see {@link CloudDatastoreAdapter#batchSize}.
+   *
+   * @method CloudDatastoreAdapter#_mergeChunkResults
+   * @private
+   * @param {object} mapper The mapper.
+   * @param {Array} results The written records and API response of each
+   * chunk.
+   * @param {object} [opts] Configuration options.
+   * @return {Array} The written records and the combined API responses.
+   */
+  _mergeChunkResults (mapper, results, opts) {
+    const result = mergeChunkResults(results);
+    const failed = result[1].failed;
+    if (failed.length && !this.getOpt('raw', opts)) {
+      const props = this._getErrorProps(mapper, opts);
+      props.failed = failed;
+      props.records = result[0];
+      throw new PartialFailureError(`${failed.length} ${mapper.name} records failed!`, props);
     }
-    throw new Error('findAll with belongsTo not supported!');
+    return result;
   },
 
-  loadHasMany (mapper, def, records, __opts) {
+  loadHasManyLocalKeys (mapper, def, records, __opts) {
     if (utils.isObject(records) && !utils.isArray(records)) {
-      return Adapter.prototype.loadHasMany.call(this, mapper, def, records, __opts);
+      return Adapter.prototype.loadHasManyLocalKeys.call(this, mapper, def, records, __opts);
     }
-    throw new Error('findAll with hasMany not supported!');
+    const relatedMapper = def.getRelation();
+    let localKeys = [];
+    records.forEach((record) => {
+      localKeys = localKeys.concat(this.makeHasManyLocalKeys(mapper, def, record));
+    });
+    return this.findAll(relatedMapper, {
+      where: {
+        [relatedMapper.idAttribute]: {
+          'in': localKeys
+        }
+      }
+    }, __opts).then((relatedItems) => {
+      records.forEach((record) => {
+        const itemKeys = this.makeHasManyLocalKeys(mapper, def, record);
+        def.setLocalField(record, relatedItems.filter((relatedItem) => {
+          return itemKeys.indexOf(utils.get(relatedItem, relatedMapper.idAttribute)) !== -1;
+        }));
+      });
+      return relatedItems;
+    });
   },
 
-  loadHasOne (mapper, def, records, __opts) {
+  loadHasManyForeignKeys (mapper, def, records, __opts) {
     if (utils.isObject(records) && !utils.isArray(records)) {
-      return Adapter.prototype.loadHasOne.call(this, mapper, def, records, __opts);
+      return Adapter.prototype.loadHasManyForeignKeys.call(this, mapper, def, records, __opts);
     }
-    throw new Error('findAll with hasOne not supported!');
+    const idAttribute = mapper.idAttribute;
+    const IDs = records.map((record) => this.makeHasManyForeignKeys(mapper, def, record));
+    return this.findAll(def.getRelation(), {
+      where: {
+        [def.foreignKeys]: {
+          'isectNotEmpty': IDs.filter((id) => !utils.isUndefined(id))
+        }
+      }
+    }, __opts).then((relatedItems) => {
+      records.forEach((record) => {
+        const id = utils.get(record, idAttribute);
+        def.setLocalField(record, relatedItems.filter((relatedItem) => {
+          return (utils.get(relatedItem, def.foreignKeys) || []).indexOf(id) !== -1;
+        }));
+      });
+      return relatedItems;
+    });
+  },
+
+  /**
+   * Return the primary keys stored in the "localKeys" field of the given
+   * record. Keys of an object are always strings, so those that look like
+   * integers are converted back into the integer ids allocated by Datastore,
+   * unless the related Mapper's `idType` is `'string'`.
+   *
+   * @method CloudDatastoreAdapter#makeHasManyLocalKeys
+   * @param {object} mapper The mapper.
+   * @param {object} def The relation definition.
+   * @param {object} record The record.
+   * @return {Array} The primary keys.
+   */
+  makeHasManyLocalKeys (mapper, def, record) {
+    const itemKeys = utils.get(record, def.localKeys);
+    const localKeys = Adapter.prototype.makeHasManyLocalKeys.call(this, mapper, def, record);
+    if (utils.isArray(itemKeys) || def.getRelation().idType === 'string') {
+      return localKeys;
+    }
+    return localKeys.map((key) => INTEGER_REGEXP.test(key) ? +key : key);
+  },
+
+  /**
+   * Resolve the Datastore client to send requests to with the given options.
+   *
+   * @method CloudDatastoreAdapter#getClient
+   * @param {object} [opts] Configuration options.
+   * @param {object} [opts.transaction] See {@link CloudDatastoreAdapter#transaction}.
+   * @return {object} The transaction given in `opts.transaction`, otherwise
+   * {@link CloudDatastoreAdapter#datastore}.
+   */
+  getClient (opts) {
+    opts || (opts = {});
+    return opts.transaction || this.datastore;
+  },
+
+  /**
+   * Return the names of the properties of the given record that are not
+   * indexed. Unindexed properties cannot be filtered, sorted or projected on,
+   * but they may hold values longer than the 1500 bytes Datastore allows for
+   * indexed values, and writing them is cheaper.
+   *
+   * A property is excluded from indexes if its JSON schema sets
+   * `excludeFromIndexes` to `true`. Nested properties and array elements
+   * inherit the setting of the property that holds them, unless their own
+   * schema overrides it. If the Mapper sets `excludeFromIndexes` to `true`,
+   * every property is excluded, except those whose schema sets
+   * `excludeFromIndexes` to `false`. The primary key and the foreign keys of
+   * belongsTo relations are always indexed, unless their own schema excludes
+   * them.
+   *
+   * The Datastore client only excludes top-level properties, together with
+   * every value nested in them, so a property is excluded as a whole if the
+   * schema of any of its nested properties or array elements excludes them.
+   *
+   * @example
+   * store.defineMapper('post', {
+   *   schema: {
+   *     properties: {
+   *       title: { type: 'string' },
+   *       body: { type: 'string', excludeFromIndexes: true },
+   *       tags: { type: 'array', items: { type: 'string' } },
+   *       comments: {
+   *         type: 'array',
+   *         items: {
+   *           type: 'object',
+   *           properties: {
+   *             text: { type: 'string', excludeFromIndexes: true }
+   *           }
+   *         }
+   *       }
+   *     }
+   *   }
+   * })
+   * // excludeFromIndexes: ['body', 'comments']
+   *
+   * @example <caption>Write-heavy kind</caption>
+   * store.defineMapper('event', {
+   *   excludeFromIndexes: true,
+   *   schema: {
+   *     properties: {
+   *       createdAt: { type: 'number', excludeFromIndexes: false }
+   *     }
+   *   }
+   * })
+   *
+   * @method CloudDatastoreAdapter#getExcludeFromIndexes
+   * @param {object} mapper The mapper.
+   * @param {object} record The record.
+   * @return {string[]} Names of the unindexed properties.
+   */
+  getExcludeFromIndexes (mapper, record) {
+    return Object.keys(record).filter((name) => !isIndexed(mapper, name));
+  },
+
+  /**
+   * Return the composite indexes required by the queries recorded so far,
+   * see {@link CloudDatastoreAdapter#recordQueries}, and by the query
+   * patterns declared by the given Mappers, without duplicates. A Mapper
+   * declares the selection queries it runs in its `queryPatterns` option,
+   * the values of their criteria don't matter.
+   *
+   * @example
+   * const Post = store.defineMapper('post', {
+   *   queryPatterns: [
+   *     { where: { authorId: 1, createdAt: { '>': 0 } } },
+   *     { where: { status: 'published' }, orderBy: [['votes', 'desc']] }
+   *   ]
+   * })
+   *
+   * @method CloudDatastoreAdapter#getIndexes
+   * @param {Object[]} [mappers] The mappers.
+   * @param {object} [opts] Configuration options.
+   * @return {Object[]} The composite indexes, in the form of entries of
+   * `index.yaml`, see {@link module:js-data-cloud-datastore.toIndexYaml}.
+   */
+  getIndexes (mappers, opts) {
+    const indexes = this.recordedIndexes.slice();
+    const _opts = { recordQueries: false };
+    utils.fillIn(_opts, opts || {});
+    (mappers || []).forEach((mapper) => {
+      (mapper.queryPatterns || []).forEach((query) => {
+        this.explain(mapper, query, _opts).indexes.forEach((index) => addIndex(indexes, index));
+      });
+    });
+    return indexes;
   },
 
-  loadHasManyLocalKeys () {
-    throw new Error('find/findAll with hasMany & localKeys not supported!');
+  /**
+   * Build the Datastore key of the record with the given primary key, using
+   * the kind and namespace resolved for the specified Mapper with the given
+   * options. The key is incomplete if no primary key is given. If the Mapper
+   * has a parent, the key path starts with the key of the record's parent, see
+   * {@link CloudDatastoreAdapter#getParentKey}.
+   *
+   * @method CloudDatastoreAdapter#getKey
+   * @param {object} mapper The mapper.
+   * @param {(string|number)} [id] Primary key of the record.
+   * @param {object} [opts] Configuration options.
+   * @param {string} [opts.kind] Datastore kind.
+   * @param {string} [opts.namespace] Datastore namespace.
+   * @param {object} [opts.parentKey] Datastore key of the record's parent.
+   * @param {object} [record] The record.
+   * @return {object} The key.
+   */
+  getKey (mapper, id, opts, record) {
+    const parentKey = this.getParentKey(mapper, record, opts);
+    const path = (parentKey ? parentKey.path : []).concat([this.getKind(mapper, opts)]);
+    if (!utils.isUndefined(id)) {
+      path.push(this.getKeyId(mapper, id));
+    }
+    const namespace = this.getNamespace(mapper, opts);
+    return utils.isUndefined(namespace) ? this.datastore.key(path) : this.datastore.key({ namespace, path });
   },
 
-  loadHasManyForeignKeys () {
-    throw new Error('find/findAll with hasMany & foreignKeys not supported!');
+  /**
+   * Convert the primary key of a record of the specified Mapper into the id
+   * of its Datastore key, according to the Mapper's `idType`:
+   *
+   * - `'integer'`: numeric id. Integer strings are converted to numbers.
+   * - `'string'`: key name. Numbers are converted to strings.
+   * - not set: numbers are numeric ids and strings are key names.
+   *
+   * @example
+   * store.defineMapper('user', { idAttribute: 'email', idType: 'string' })
+   *
+   * @method CloudDatastoreAdapter#getKeyId
+   * @param {object} mapper The mapper.
+   * @param {(string|number)} id Primary key of the record.
+   * @return {(string|number)} The id or name of the key.
+   */
+  getKeyId (mapper, id) {
+    if (mapper.idType === 'string') {
+      return utils.isNumber(id) ? `${id}` : id;
+    } else if (mapper.idType === 'integer') {
+      if (utils.isString(id) && INTEGER_REGEXP.test(id)) {
+        return +id;
+      } else if (!utils.isNumber(id) || id % 1 !== 0) {
+        throw new InvalidRecordError(`${mapper.name} ${mapper.idAttribute} must be an integer, got ${id}!`, this._getErrorProps(mapper));
+      }
+    }
+    return id;
   },
 
   /**
@@ -621,6 +3999,22 @@ Adapter.extend({
     return utils.isUndefined(opts.kind) ? (utils.isUndefined(mapper.kind) ? mapper.name : mapper.kind) : opts.kind;
   },
 
+  /**
+   * Resolve the Cloud Datastore namespace for the specified Mapper with the
+   * given options.
+   *
+   * @method CloudDatastoreAdapter#getNamespace
+   * @param {object} mapper The mapper.
+   * @param {object} [opts] Configuration options.
+   * @param {string} [opts.namespace] Datastore namespace.
+   * @return {string} The namespace, or `undefined` to use the namespace of
+   * {@link CloudDatastoreAdapter#datastore}.
+   */
+  getNamespace (mapper, opts) {
+    opts || (opts = {});
+    return utils.isUndefined(opts.namespace) ? (utils.isUndefined(mapper.namespace) ? this.namespace : mapper.namespace) : opts.namespace;
+  },
+
   /**
    * Resolve the predicate function for the specified operator based on the
    * given options and this adapter's settings.
@@ -637,6 +4031,203 @@ Adapter.extend({
     opts.operators || (opts.operators = {});
     let ownOps = this.operators || {};
     return utils.isUndefined(opts.operators[operator]) ? ownOps[operator] || OPERATORS[operator] : opts.operators[operator];
+  },
+
+  /**
+   * Resolve the Datastore key of the parent of the given record of the
+   * specified Mapper, see {@link CloudDatastoreAdapter#getParentRelation}.
+   * Unless given by `opts.parentKey`, the key is built from the foreign key of
+   * the parent relation. For deeper hierarchies the record must also hold the
+   * foreign keys of the parent's own ancestors.
+   *
+   * @method CloudDatastoreAdapter#getParentKey
+   * @param {object} mapper The mapper.
+   * @param {object} [record] The record.
+   * @param {object} [opts] Configuration options.
+   * @param {object} [opts.parentKey] Datastore key of the record's parent.
+   * Ignored if it isn't a key of the parent's kind, e.g. when loading
+   * relations of other Mappers.
+   * @return {object} The key, or `undefined` if the Mapper has no parent or
+   * the parent is unknown.
+   */
+  getParentKey (mapper, record, opts) {
+    opts || (opts = {});
+    const def = this.getParentRelation(mapper);
+    if (!def) {
+      return;
+    }
+    const parentMapper = def.getRelation();
+    const parentKey = opts.parentKey;
+    if (parentKey && parentKey.path[parentKey.path.length - 2] === this.getKind(parentMapper)) {
+      return parentKey;
+    }
+    const parentId = record ? utils.get(record, def.foreignKey) : undefined;
+    if (utils.isUndefined(parentId) || parentId === null) {
+      return;
+    }
+    // Every key in a key path has the same namespace
+    return this.getKey(parentMapper, parentId, { namespace: this.getNamespace(mapper, opts) }, record);
+  },
+
+  /**
+   * Resolve the belongsTo relation of the specified Mapper to the records
+   * that are the Datastore parents of the Mapper's records. The relation is
+   * named by the Mapper's `parent` option, which may be the name of the
+   * related Mapper or the relation's `localField`. The foreign key of the
+   * relation becomes the ancestor path of the keys of the Mapper's records,
+   * which puts each record in the entity group of its parent.
+   *
+   * @example
+   * store.defineMapper('comment', {
+   *   parent: 'post',
+   *   relations: {
+   *     belongsTo: {
+   *       post: { foreignKey: 'postId', localField: 'post' }
+   *     }
+   *   }
+   * })
+   *
+   * @method CloudDatastoreAdapter#getParentRelation
+   * @param {object} mapper The mapper.
+   * @return {object} The relation definition, or `undefined` if the Mapper
+   * has no parent.
+   */
+  getParentRelation (mapper) {
+    if (utils.isUndefined(mapper.parent)) {
+      return;
+    }
+    const def = (mapper.relationList || []).filter((def) => {
+      return def.type === 'belongsTo' && (def.relation === mapper.parent || def.localField === mapper.parent);
+    })[0];
+    if (!def) {
+      throw new CloudDatastoreError(`${mapper.name} has no belongsTo relation named ${mapper.parent}!`, this._getErrorProps(mapper));
+    }
+    return def;
+  },
+
+  /**
+   * Decode the data of a Datastore entity into a record of the specified
+   * Mapper, converting values back into the JavaScript types declared by the
+   * Mapper's JSON schema, see {@link CloudDatastoreAdapter#encodeRecord}.
+   * The Datastore client reads integers and doubles as numbers, so integers
+   * beyond `Number.MAX_SAFE_INTEGER` lose precision, and geo points as
+   * `{ latitude, longitude }` objects.
+   *
+   * @method CloudDatastoreAdapter#decodeRecord
+   * @param {object} mapper The mapper.
+   * @param {object} data The data of the entity.
+   * @param {object} [opts] Configuration options.
+   * @return {object} The record.
+   */
+  decodeRecord (mapper, data, opts) {
+    return decodeValue(getValueTypes(this.datastore), getDecodingSchema(mapper), data);
+  },
+
+  /**
+   * Encode the given record of the specified Mapper into the data of a
+   * Datastore entity. Values are saved as the Datastore type declared by the
+   * JSON schema of their property:
+   *
+   * - `type: 'integer'`: integer, including integer strings too large for a
+   * JavaScript number, although the Datastore client reads them back as
+   * numbers that lose precision.
+   * - `type: 'number'`: double, even if the value is a whole number.
+   * - `format: 'date-time'` or `format: 'date'`: timestamp.
+   * - `contentEncoding: 'base64'`: blob.
+   * - `format: 'geoPoint'`: geo point, from a `{ latitude, longitude }`
+   * object.
+   * - `format: 'key'`: key, if the property is the foreign key of a
+   * belongsTo relation. The key of a record's parent, see
+   * {@link CloudDatastoreAdapter#getParentRelation}, includes the parent's
+   * ancestors. Keys are decoded back into the primary key of the related
+   * record, as the `type` of the property, or else the `idType` of the
+   * related Mapper.
+   *
+   * Other values, and values of properties without a schema, are saved as the
+   * Datastore client encodes them. Nested properties and array elements are
+   * encoded according to the `properties` and `items` of their schema.
+   * {@link CloudDatastoreAdapter#decodeRecord} decodes them back.
+   *
+   * @example
+   * store.defineMapper('shop', {
+   *   schema: {
+   *     properties: {
+   *       visits: { type: 'integer' },
+   *       rating: { type: 'number' },
+   *       openedAt: { type: 'string', format: 'date-time' },
+   *       location: { type: 'object', format: 'geoPoint' },
+   *       ownerId: { type: 'number', format: 'key' }
+   *     }
+   *   },
+   *   relations: {
+   *     belongsTo: {
+   *       user: { foreignKey: 'ownerId', localField: 'owner' }
+   *     }
+   *   }
+   * })
+   *
+   * @method CloudDatastoreAdapter#encodeRecord
+   * @param {object} mapper The mapper.
+   * @param {object} record The record.
+   * @param {object} [opts] Configuration options.
+   * @return {object} The data of the entity.
+   */
+  encodeRecord (mapper, record, opts) {
+    const data = encodeValue(this.datastore, mapper.schema, record);
+    const types = getValueTypes(this.datastore);
+    (mapper.relationList || []).forEach((def) => {
+      if (def.type !== 'belongsTo') {
+        return;
+      }
+      const schema = getPropertySchema(mapper, def.foreignKey);
+      const id = utils.get(record, def.foreignKey);
+      if (!schema || schema.format !== 'key' || utils.isUndefined(id) || id === null || id instanceof types.Key) {
+        return;
+      }
+      let key;
+      if (def === this.getParentRelation(mapper)) {
+        key = this.getParentKey(mapper, record, opts);
+      } else {
+        const relatedMapper = def.getRelation();
+        if (this.getParentRelation(relatedMapper)) {
+          throw new InvalidRecordError(`Cannot save ${def.foreignKey} of ${mapper.name} as a key, the keys of ${relatedMapper.name} records depend on their ancestors!`, this._getErrorProps(mapper, opts));
+        }
+        key = this.getKey(relatedMapper, id, { namespace: this.getNamespace(mapper, opts) });
+      }
+      utils.set(data, def.foreignKey, key);
+    });
+    return data;
+  },
+
+  /**
+   * Build the entity saved by Datastore for the given record. Its `data` lists
+   * the properties returned by {@link CloudDatastoreAdapter#encodeRecord} as
+   * `{ name, value, excludeFromIndexes }` objects, flagging those returned by
+   * {@link CloudDatastoreAdapter#getExcludeFromIndexes}, which is the only
+   * form in which the Datastore client excludes properties from indexes.
+   *
+   * @method CloudDatastoreAdapter#toEntity
+   * @param {object} mapper The mapper.
+   * @param {object} key Datastore key of the record.
+   * @param {object} record The record.
+   * @param {string} [method] Datastore save method, e.g. `'insert'`,
+   * `'update'` or `'upsert'`.
+   * @param {object} [opts] Configuration options.
+   * @return {object} The entity.
+   */
+  toEntity (mapper, key, record, method, opts) {
+    const data = this.encodeRecord(mapper, record, opts);
+    const excluded = this.getExcludeFromIndexes(mapper, data);
+    const entity = {
+      key,
+      data: Object.keys(data).map((name) => {
+        return { name, value: data[name], excludeFromIndexes: excluded.indexOf(name) !== -1 };
+      })
+    };
+    if (method) {
+      entity.method = method;
+    }
+    return entity;
   }
 });
 
@@ -664,6 +4255,8 @@ Adapter.extend({
  */
 export const version = '<%= version %>';
 
+export { MemoryDatastore } from './memory';
+
 /**
  * {@link CloudDatastoreAdapter} class.
  *
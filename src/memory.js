@@ -0,0 +1,862 @@
+// Copyright 2016, Google, Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+import { utils } from 'js-data';
+import { Readable } from 'stream';
+
+const KEY_SEPARATOR = '\u0000';
+
+// gRPC status codes, as found on errors produced by the real client.
+const CODES = {
+  NOT_FOUND: 5,
+  ALREADY_EXISTS: 6,
+  ABORTED: 10,
+  INVALID_ARGUMENT: 3
+};
+
+const makeError = function (code, message) {
+  const err = new Error(message);
+  err.code = CODES[code];
+  return err;
+};
+
+const nextTick = function (fn) {
+  process.nextTick(fn);
+};
+
+/**
+ * Datastore key, shaped like the keys of `@google-cloud/datastore`.
+ *
+ * @private
+ */
+function Key (options) {
+  const path = options.path.slice();
+  this.namespace = options.namespace;
+  if (path.length % 2 === 0) {
+    const identifier = path.pop();
+    if (identifier instanceof Int) {
+      this.id = identifier.value;
+    } else if (utils.isNumber(identifier)) {
+      this.id = identifier;
+    } else if (utils.isString(identifier)) {
+      this.name = identifier;
+    }
+  }
+  this.kind = path.pop();
+  if (path.length) {
+    this.parent = new Key({ namespace: options.namespace, path });
+  }
+  Object.defineProperty(this, 'path', {
+    enumerable: true,
+    get () {
+      return (this.parent ? this.parent.path : []).concat([this.kind, this.name || this.id]);
+    }
+  });
+}
+
+/**
+ * Return the path of a key, with its ids wrapped in {@link Int} so that they
+ * are not mistaken for names.
+ */
+const keyPath = function (key) {
+  const path = key.parent ? keyPath(key.parent) : [];
+  path.push(key.kind);
+  if (!utils.isUndefined(key.name)) {
+    path.push(key.name);
+  } else if (!utils.isUndefined(key.id)) {
+    path.push(new Int(key.id));
+  }
+  return path;
+};
+
+/**
+ * Copy a key the way the client decodes keys read from Datastore: ids
+ * become strings.
+ */
+const readKey = function (key) {
+  return new Key({ namespace: key.namespace, path: keyPath(key) });
+};
+
+/**
+ * Wrappers of values of a specific Datastore type, shaped like those of
+ * `@google-cloud/datastore`.
+ *
+ * @private
+ */
+function Int (value) {
+  this.type = 'DatastoreInt';
+  this.value = value.toString();
+}
+
+function Double (value) {
+  this.type = 'DatastoreDouble';
+  this.value = value;
+}
+
+function GeoPoint (coordinates) {
+  this.type = 'DatastoreGeoPoint';
+  this.value = coordinates;
+}
+
+/**
+ * Copy a stored value the way the client decodes values read from
+ * Datastore: integers and doubles become numbers, geo points become plain
+ * `{ latitude, longitude }` objects.
+ */
+const decode = function (value) {
+  if (utils.isArray(value)) {
+    return value.map(decode);
+  } else if (value instanceof Int || value instanceof Double) {
+    return +value.value;
+  } else if (isKey(value)) {
+    return readKey(value);
+  } else if (value instanceof GeoPoint) {
+    return { latitude: value.value.latitude, longitude: value.value.longitude };
+  } else if (isPlainObject(value)) {
+    const copy = {};
+    utils.forOwn(value, (v, k) => {
+      copy[k] = decode(v);
+    });
+    return copy;
+  }
+  return clone(value);
+};
+
+const isPlainObject = function (value) {
+  return utils.isObject(value) && Object.getPrototypeOf(value) === Object.prototype;
+};
+
+const serializeKey = function (key) {
+  return [key.namespace || ''].concat(keyPath(key).map((part) => {
+    return part instanceof Int ? `id:${part.value}` : `${typeof part}:${part}`;
+  })).join(KEY_SEPARATOR);
+};
+
+const isKey = function (value) {
+  return value instanceof Key;
+};
+
+const clone = function (value) {
+  if (utils.isArray(value)) {
+    return value.map(clone);
+  } else if (utils.isDate(value)) {
+    return new Date(value.getTime());
+  } else if (Buffer.isBuffer(value)) {
+    return Buffer.from(value);
+  } else if (isKey(value) || value instanceof Int || value instanceof Double || value instanceof GeoPoint) {
+    return value;
+  } else if (utils.isObject(value)) {
+    const copy = {};
+    utils.forOwn(value, (v, k) => {
+      copy[k] = clone(v);
+    });
+    return copy;
+  }
+  return value;
+};
+
+const typeRank = function (value) {
+  if (value === null) {
+    return 0;
+  } else if (utils.isNumber(value)) {
+    return 1;
+  } else if (utils.isDate(value)) {
+    return 2;
+  } else if (utils.isBoolean(value)) {
+    return 3;
+  } else if (utils.isString(value)) {
+    return 4;
+  } else if (Buffer.isBuffer(value)) {
+    return 5;
+  } else if (isKey(value)) {
+    return 6;
+  }
+  return 7;
+};
+
+const compareValues = function (a, b) {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) {
+    return rankA - rankB;
+  }
+  if (isKey(a)) {
+    // Ids sort before names, and ids sort numerically
+    const pathA = keyPath(a).map(unwrapValue);
+    const pathB = keyPath(b).map(unwrapValue);
+    for (var i = 0; i < Math.min(pathA.length, pathB.length); i++) {
+      const cmp = compareValues(pathA[i], pathB[i]);
+      if (cmp !== 0) {
+        return cmp;
+      }
+    }
+    return pathA.length - pathB.length;
+  }
+  if (utils.isDate(a)) {
+    a = a.getTime();
+    b = b.getTime();
+  } else if (Buffer.isBuffer(a)) {
+    return Buffer.compare(a, b);
+  }
+  if (a < b) {
+    return -1;
+  } else if (a > b) {
+    return 1;
+  }
+  return 0;
+};
+
+const unwrapValue = function (value) {
+  if (value instanceof Int || value instanceof Double) {
+    return +value.value;
+  } else if (value instanceof GeoPoint) {
+    return value.value;
+  }
+  return value;
+};
+
+/**
+ * Return every indexed value stored at the given (dot-separated) property
+ * path, flattening arrays. Returns `undefined` when the property is missing
+ * or unindexed, e.g. nested in an unindexed property.
+ */
+const indexedValues = function (record, property) {
+  if (property === '__key__') {
+    return [record.key];
+  }
+  if (record.excluded.some((name) => property === name || property.indexOf(`${name}.`) === 0)) {
+    return;
+  }
+  let values = [record.data];
+  const parts = property.split('.');
+  for (var i = 0; i < parts.length; i++) {
+    const next = [];
+    values.forEach((value) => {
+      if (utils.isArray(value)) {
+        value.forEach((item) => {
+          if (utils.isObject(item) && item[parts[i]] !== undefined) {
+            next.push(item[parts[i]]);
+          }
+        });
+      } else if (utils.isObject(value) && value[parts[i]] !== undefined) {
+        next.push(value[parts[i]]);
+      }
+    });
+    values = next;
+  }
+  const flat = [];
+  values.forEach((value) => {
+    if (utils.isArray(value)) {
+      value.forEach((item) => flat.push(unwrapValue(item)));
+    } else {
+      flat.push(unwrapValue(value));
+    }
+  });
+  return flat.length ? flat : undefined;
+};
+
+const testFilter = function (record, filter) {
+  const values = indexedValues(record, filter.name);
+  if (!values) {
+    return false;
+  }
+  const expected = unwrapValue(filter.val);
+  return values.some((value) => {
+    const cmp = compareValues(value, expected);
+    switch (filter.op) {
+      case '=':
+        return cmp === 0;
+      case '>':
+        return cmp > 0;
+      case '>=':
+        return cmp >= 0;
+      case '<':
+        return cmp < 0;
+      case '<=':
+        return cmp <= 0;
+      case 'HAS_ANCESTOR':
+        return isAncestor(expected, record.key);
+    }
+    throw makeError('INVALID_ARGUMENT', `Invalid operator: ${filter.op}`);
+  });
+};
+
+const uniqueValuesOf = function (values) {
+  const unique = [];
+  values.forEach((value) => {
+    if (!unique.some((item) => compareValues(item, value) === 0)) {
+      unique.push(value);
+    }
+  });
+  return unique;
+};
+
+const isAncestor = function (ancestor, key) {
+  let parent = key;
+  while (parent) {
+    if (compareValues(parent, ancestor) === 0 && (parent.namespace || '') === (ancestor.namespace || '')) {
+      return true;
+    }
+    parent = parent.parent;
+  }
+  return false;
+};
+
+/**
+ * Chainable query, shaped like the queries of `@google-cloud/datastore`.
+ *
+ * @private
+ */
+function Query (scope, namespace, kinds) {
+  this.scope = scope;
+  this.namespace = namespace || null;
+  this.kinds = kinds;
+  this.filters = [];
+  this.orders = [];
+  this.selectVal = [];
+  this.startVal = null;
+  this.endVal = null;
+  this.limitVal = -1;
+  this.offsetVal = -1;
+}
+
+utils.addHiddenPropsToTarget(Query.prototype, {
+  filter (property, operator, value) {
+    if (arguments.length === 2) {
+      value = operator;
+      operator = '=';
+    }
+    this.filters.push({ name: property.trim(), op: operator.trim(), val: value });
+    return this;
+  },
+
+  hasAncestor (key) {
+    this.filters.push({ name: '__key__', op: 'HAS_ANCESTOR', val: key });
+    return this;
+  },
+
+  order (property, options) {
+    this.orders.push({ name: property, sign: options && options.descending ? '-' : '+' });
+    return this;
+  },
+
+  select (fieldNames) {
+    this.selectVal = utils.isArray(fieldNames) ? fieldNames : [fieldNames];
+    return this;
+  },
+
+  start (cursor) {
+    this.startVal = cursor;
+    return this;
+  },
+
+  end (cursor) {
+    this.endVal = cursor;
+    return this;
+  },
+
+  limit (n) {
+    this.limitVal = n;
+    return this;
+  },
+
+  offset (n) {
+    this.offsetVal = n;
+    return this;
+  },
+
+  run (options, callback) {
+    return this.scope.runQuery(this, options, callback);
+  },
+
+  runStream (options) {
+    return this.scope.runQueryStream(this, options);
+  }
+});
+
+const encodeCursor = function (position) {
+  return Buffer.from(`memory:${position}`).toString('base64');
+};
+
+const decodeCursor = function (cursor) {
+  const decoded = Buffer.from(cursor, 'base64').toString();
+  if (decoded.indexOf('memory:') !== 0) {
+    throw makeError('INVALID_ARGUMENT', 'Invalid query cursor.');
+  }
+  return +decoded.substr(7);
+};
+
+/**
+ * In-memory stand-in for the subset of the `@google-cloud/datastore` client
+ * used by {@link CloudDatastoreAdapter}: keys, `allocateIds`, transactions,
+ * `get`, `save`, `delete` and queries with filters, sorting, offset, limit,
+ * cursors and projections. Pass it as `opts.datastore` to run
+ * the adapter without Google Cloud credentials, e.g. in tests or local
+ * development. Nothing is persisted.
+ *
+ * Lookups by key and ancestor queries are strongly consistent, as they are
+ * in Datastore. Set `opts.consistencyDelay` to simulate the eventual
+ * consistency of other queries: they only see writes once the delay has
+ * elapsed, or once {@link MemoryDatastore#applyPendingWrites} is called.
+ *
+ * @example
+ * import {CloudDatastoreAdapter, MemoryDatastore} from 'js-data-cloud-datastore'
+ * const adapter = new CloudDatastoreAdapter({
+ *   datastore: new MemoryDatastore({ consistencyDelay: Infinity })
+ * })
+ *
+ * @class MemoryDatastore
+ * @param {object} [opts] Configuration options.
+ * @param {string} [opts.namespace] Default namespace of keys and queries.
+ * @param {number} [opts.consistencyDelay=0] Number of milliseconds after
+ * which writes are seen by queries that are not ancestor queries. `Infinity`
+ * hides writes from these queries until
+ * {@link MemoryDatastore#applyPendingWrites} is called.
+ */
+export function MemoryDatastore (opts) {
+  utils.classCallCheck(this, MemoryDatastore);
+  opts || (opts = {});
+  this.namespace = opts.namespace;
+  this.consistencyDelay = opts.consistencyDelay || 0;
+  // Entities, as seen by lookups and ancestor queries
+  this.records = {};
+  // Entities, as seen by other queries
+  this.indexedRecords = {};
+  this.pendingWrites = [];
+  this.lastId = 0;
+  this.version = 0;
+}
+
+utils.addHiddenPropsToTarget(MemoryDatastore.prototype, {
+  KEY: Symbol('KEY'),
+  MORE_RESULTS_AFTER_CURSOR: 'MORE_RESULTS_AFTER_CURSOR',
+  MORE_RESULTS_AFTER_LIMIT: 'MORE_RESULTS_AFTER_LIMIT',
+  NO_MORE_RESULTS: 'NO_MORE_RESULTS',
+
+  int (value) {
+    return new Int(value);
+  },
+
+  double (value) {
+    return new Double(value);
+  },
+
+  geoPoint (coordinates) {
+    return new GeoPoint(coordinates);
+  },
+
+  /**
+   * Make every write seen by every query, without waiting for
+   * `opts.consistencyDelay` to elapse, see {@link MemoryDatastore}.
+   *
+   * @method MemoryDatastore#applyPendingWrites
+   */
+  applyPendingWrites () {
+    this._applyPendingWrites(Infinity);
+  },
+
+  _applyPendingWrites (now) {
+    while (this.pendingWrites.length && this.pendingWrites[0].visibleAt <= now) {
+      const write = this.pendingWrites.shift();
+      if (write.record) {
+        this.indexedRecords[write.id] = write.record;
+      } else {
+        delete this.indexedRecords[write.id];
+      }
+    }
+  },
+
+  _write (key, record) {
+    const id = serializeKey(key);
+    if (record) {
+      this.records[id] = record;
+    } else {
+      delete this.records[id];
+    }
+    this.pendingWrites.push({ id, record, visibleAt: Date.now() + this.consistencyDelay });
+    if (!this.consistencyDelay) {
+      this._applyPendingWrites(Infinity);
+    }
+  },
+
+  key (options) {
+    if (utils.isString(options)) {
+      options = { path: [options] };
+    } else if (utils.isArray(options)) {
+      options = { path: options };
+    }
+    return new Key({
+      namespace: utils.isUndefined(options.namespace) ? this.namespace : options.namespace,
+      path: options.path
+    });
+  },
+
+  createQuery (namespace, kind) {
+    if (arguments.length === 1) {
+      kind = namespace;
+      namespace = this.namespace;
+    }
+    return new Query(this, namespace, utils.isArray(kind) ? kind : [kind]);
+  },
+
+  transaction () {
+    return new Transaction(this);
+  },
+
+  allocateIds (incompleteKey, n, callback) {
+    const keys = [];
+    for (var i = 0; i < n; i++) {
+      keys.push(this.key({
+        namespace: incompleteKey.namespace,
+        path: keyPath(incompleteKey).concat([new Int(++this.lastId)])
+      }));
+    }
+    nextTick(() => callback(null, keys, {}));
+  },
+
+  get (keys, options, callback) {
+    if (utils.isFunction(options)) {
+      callback = options;
+      options = {};
+    }
+    const singular = !utils.isArray(keys);
+    const entities = this._getSync(singular ? [keys] : keys);
+    nextTick(() => callback(null, singular ? entities[0] : entities.filter((entity) => entity)));
+  },
+
+  _getSync (keys) {
+    return keys.map((key) => {
+      const record = this.records[serializeKey(key)];
+      return record ? this._toEntity(record.key, decode(record.data)) : undefined;
+    });
+  },
+
+  save (entities, callback) {
+    let err;
+    try {
+      this._saveSync(utils.isArray(entities) ? entities : [entities]);
+    } catch (_err) {
+      err = _err;
+    }
+    nextTick(() => callback(err || null, err ? undefined : { mutationResults: [] }));
+  },
+
+  insert (entities, callback) {
+    this.save(this._withMethod(entities, 'insert'), callback);
+  },
+
+  update (entities, callback) {
+    this.save(this._withMethod(entities, 'update'), callback);
+  },
+
+  upsert (entities, callback) {
+    this.save(this._withMethod(entities, 'upsert'), callback);
+  },
+
+  _withMethod (entities, method) {
+    return (utils.isArray(entities) ? entities : [entities]).map((entity) => Object.assign({}, entity, { method }));
+  },
+
+  _saveSync (entities) {
+    // Validate everything first so that a failed batch writes nothing
+    entities.forEach((entity) => {
+      if (!entity.key || !entity.key.kind) {
+        throw makeError('INVALID_ARGUMENT', 'A key is required.');
+      }
+      const complete = !utils.isUndefined(entity.key.id) || !utils.isUndefined(entity.key.name);
+      const exists = complete && !!this.records[serializeKey(entity.key)];
+      if (entity.method === 'insert' && exists) {
+        throw makeError('ALREADY_EXISTS', 'entity already exists');
+      } else if (entity.method === 'update' && !exists) {
+        throw makeError('NOT_FOUND', 'no entity to update');
+      }
+    });
+    entities.forEach((entity) => {
+      const key = entity.key;
+      if (utils.isUndefined(key.id) && utils.isUndefined(key.name)) {
+        key.id = `${++this.lastId}`;
+      }
+      let data = entity.data;
+      const excluded = [];
+      if (utils.isArray(data)) {
+        const _data = {};
+        data.forEach((property) => {
+          _data[property.name] = property.value;
+          if (property.excludeFromIndexes) {
+            excluded.push(property.name);
+          }
+        });
+        data = _data;
+      }
+      this._write(key, {
+        key: readKey(key),
+        data: clone(data || {}),
+        excluded: excluded,
+        version: ++this.version
+      });
+    });
+  },
+
+  delete (keys, callback) {
+    this._deleteSync(utils.isArray(keys) ? keys : [keys]);
+    nextTick(() => callback(null, { mutationResults: [] }));
+  },
+
+  _deleteSync (keys) {
+    keys.forEach((key) => this._write(key));
+  },
+
+  /**
+   * Return the version of the stored entity with the given key, or `0` if
+   * the entity does not exist.
+   */
+  _toEntity (key, data) {
+    return Object.assign(data, { [this.KEY]: readKey(key) });
+  },
+
+  _versionOf (key) {
+    const record = this.records[serializeKey(key)];
+    return record ? record.version : 0;
+  },
+
+  runQuery (query, options, callback) {
+    if (utils.isFunction(options)) {
+      callback = options;
+      options = {};
+    }
+    let result;
+    try {
+      result = this._runQuerySync(query);
+    } catch (err) {
+      return nextTick(() => callback(err));
+    }
+    nextTick(() => callback(null, result.entities, result.info));
+  },
+
+  runQueryStream (query, options) {
+    const stream = new Readable({ objectMode: true, read () {} });
+    this.runQuery(query, options, (err, entities, info) => {
+      if (err) {
+        return stream.emit('error', err);
+      }
+      entities.forEach((entity) => stream.push(entity));
+      stream.emit('info', info);
+      stream.push(null);
+    });
+    return stream;
+  },
+
+  _runQuerySync (query) {
+    const namespace = query.namespace || '';
+    // Only ancestor queries are strongly consistent
+    let source = this.records;
+    if (!query.filters.some((filter) => filter.op === 'HAS_ANCESTOR')) {
+      this._applyPendingWrites(Date.now());
+      source = this.indexedRecords;
+    }
+    let records = Object.keys(source)
+      .map((id) => source[id])
+      .filter((record) => {
+        return query.kinds.indexOf(record.key.kind) !== -1 &&
+          (record.key.namespace || '') === namespace &&
+          query.filters.every((filter) => testFilter(record, filter));
+      });
+
+    // Entities that lack a sorted property are excluded from the results
+    query.orders.forEach((order) => {
+      records = records.filter((record) => indexedValues(record, order.name));
+    });
+    const orders = query.orders.concat([{ name: '__key__', sign: '+' }]);
+    records.sort((a, b) => {
+      for (var i = 0; i < orders.length; i++) {
+        const order = orders[i];
+        const descending = order.sign === '-';
+        const valuesA = indexedValues(a, order.name).slice().sort(compareValues);
+        const valuesB = indexedValues(b, order.name).slice().sort(compareValues);
+        const cmp = descending
+          ? compareValues(valuesB[valuesB.length - 1], valuesA[valuesA.length - 1])
+          : compareValues(valuesA[0], valuesB[0]);
+        if (cmp !== 0) {
+          return cmp;
+        }
+      }
+      return 0;
+    });
+
+    const selected = query.selectVal;
+    const keysOnly = selected.length === 1 && selected[0] === '__key__';
+    if (selected.length && !keysOnly) {
+      // Projections read index entries: one result per combination of
+      // values, and nothing for entities missing a projected property
+      let rows = [];
+      records.forEach((record) => {
+        let combinations = [{}];
+        selected.forEach((field) => {
+          const values = indexedValues(record, field) || [];
+          const next = [];
+          combinations.forEach((combination) => {
+            uniqueValuesOf(values).forEach((value) => {
+              const _combination = Object.assign({}, combination);
+              _combination[field] = value;
+              next.push(_combination);
+            });
+          });
+          combinations = next;
+        });
+        combinations.forEach((combination) => {
+          const data = {};
+          utils.forOwn(combination, (value, field) => utils.set(data, field, value));
+          rows.push({ key: record.key, data: clone(data), projected: true });
+        });
+      });
+      records = rows;
+    }
+
+    let start = query.startVal ? decodeCursor(query.startVal) : 0;
+    let end = query.endVal ? decodeCursor(query.endVal) : records.length;
+    start += query.offsetVal > 0 ? query.offsetVal : 0;
+    let stop = end;
+    if (query.limitVal > -1) {
+      stop = Math.min(end, start + query.limitVal);
+    }
+    const page = records.slice(start, stop);
+    const position = Math.min(stop, records.length);
+
+    return {
+      entities: page.map((record) => {
+        let data = decode(record.data);
+        if (keysOnly) {
+          data = {};
+        }
+        return this._toEntity(record.key, data);
+      }),
+      info: {
+        endCursor: encodeCursor(position),
+        moreResults: position < end ? this.MORE_RESULTS_AFTER_LIMIT : this.NO_MORE_RESULTS
+      }
+    };
+  }
+});
+
+/**
+ * In-memory stand-in for `@google-cloud/datastore` transactions. Writes are
+ * buffered until commit, and commit fails with `ABORTED` if an entity read
+ * in the transaction was modified in the meantime.
+ *
+ * @private
+ */
+function Transaction (datastore) {
+  this.datastore = datastore;
+  this.namespace = datastore.namespace;
+  this.reads = {};
+  this.modifiedEntities = [];
+  this.deletedKeys = [];
+  this.id = null;
+}
+
+utils.addHiddenPropsToTarget(Transaction.prototype, {
+  key (options) {
+    return this.datastore.key(options);
+  },
+
+  createQuery () {
+    return this.datastore.createQuery.apply(this, arguments);
+  },
+
+  run (callback) {
+    this.id = `transaction-${++this.datastore.version}`;
+    nextTick(() => callback(null, this, {}));
+  },
+
+  allocateIds (incompleteKey, n, callback) {
+    return this.datastore.allocateIds(incompleteKey, n, callback);
+  },
+
+  get (keys, options, callback) {
+    if (utils.isFunction(options)) {
+      callback = options;
+      options = {};
+    }
+    (utils.isArray(keys) ? keys : [keys]).forEach((key) => this._recordRead(key));
+    return this.datastore.get(keys, options, callback);
+  },
+
+  runQuery (query, options, callback) {
+    if (utils.isFunction(options)) {
+      callback = options;
+      options = {};
+    }
+    return this.datastore.runQuery(query, options, (err, entities, info) => {
+      if (!err) {
+        entities.forEach((entity) => this._recordRead(entity[this.datastore.KEY]));
+      }
+      callback(err, entities, info);
+    });
+  },
+
+  runQueryStream (query, options) {
+    return MemoryDatastore.prototype.runQueryStream.call(this, query, options);
+  },
+
+  _recordRead (key) {
+    const id = serializeKey(key);
+    if (!(id in this.reads)) {
+      this.reads[id] = { key, version: this.datastore._versionOf(key) };
+    }
+  },
+
+  save (entities) {
+    this.modifiedEntities = this.modifiedEntities.concat(utils.isArray(entities) ? entities : [entities]);
+  },
+
+  insert (entities) {
+    this.save(this.datastore._withMethod(entities, 'insert'));
+  },
+
+  update (entities) {
+    this.save(this.datastore._withMethod(entities, 'update'));
+  },
+
+  upsert (entities) {
+    this.save(this.datastore._withMethod(entities, 'upsert'));
+  },
+
+  delete (keys) {
+    this.deletedKeys = this.deletedKeys.concat(utils.isArray(keys) ? keys : [keys]);
+  },
+
+  commit (callback) {
+    let err;
+    try {
+      utils.forOwn(this.reads, (read) => {
+        if (this.datastore._versionOf(read.key) !== read.version) {
+          throw makeError('ABORTED', 'too much contention on these datastore entities. please try again.');
+        }
+      });
+      this.datastore._saveSync(this.modifiedEntities);
+      this.datastore._deleteSync(this.deletedKeys);
+    } catch (_err) {
+      err = _err;
+    }
+    nextTick(() => callback(err || null, err ? undefined : { mutationResults: [] }));
+  },
+
+  rollback (callback) {
+    this.modifiedEntities = [];
+    this.deletedKeys = [];
+    nextTick(() => callback(null, {}));
+  }
+});